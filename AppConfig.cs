@@ -13,6 +13,18 @@ namespace WpfVideoPet
         public string SignalServer { get; set; } = string.Empty; 
         public string? OperatorToken { get; set; }
         public string PageUrl { get; set; } = "https://localhost";
+        public List<IceServerConfig> IceServers { get; } = new(); // WebRTC ICE（STUN/TURN）服务器列表，为空时由页面使用默认 STUN
+        public string IceTransportPolicy { get; set; } = "all"; // ICE 传输策略：all 或 relay（仅走 TURN 中继）
+        public string Locale { get; set; } = "zh-CN"; // 通话页面语言：zh-CN 或 en-US
+        public JsonElement? CallMedia { get; private set; } // 采集约束 media 段，原样透传给通话页面
+        public JsonElement? CallCodecs { get; private set; } // 编解码器偏好 codecs 段，原样透传给通话页面
+        public JsonElement? CallBandwidth { get; private set; } // 码率上限 bandwidth 段，原样透传给通话页面
+        public bool SignalHeartbeatEnabled { get; set; } // 是否启用信令应用层心跳，需要信令服务器回应 ping
+        public int SignalHeartbeatIntervalMs { get; set; } = 15000; // 心跳 ping 间隔（毫秒），不少于 1000
+        public int SignalHeartbeatMissThreshold { get; set; } = 3; // 连续丢失多少次 pong 判定连接已断
+        public string SignalTransport { get; set; } = "websocket"; // 信令传输方式：websocket 或 mqtt（MQTT over WebSocket，signalServer 填 broker 地址）
+        public SignalMqttConfig SignalMqtt { get; } = new(); // mqtt 信令传输的 broker 参数
+        public List<string> RemoteCommandAllowlist { get; } = new(); // 访客端允许坐席远程触发的命令名，为空时全部拒绝
         public float OverlayAnimationFrameRate { get; set; } = 30f; // 叠加层动画目标帧率（0 表示按系统节奏）
         public string? OverlayDefaultAnimation { get; set; } // 叠加层默认动画名称（可为空）
         public int OverlayDefaultAnimationIndex { get; set; } // 叠加层默认动画索引（1 起算，为 0 表示禁用）
@@ -90,6 +102,64 @@ namespace WpfVideoPet
                             config.PageUrl = value.Trim();
                         }
                     }
+                    if (root.TryGetProperty("iceServers", out var iceServersElement) && iceServersElement.ValueKind == JsonValueKind.Array)
+                    {
+                        ApplyIceServersConfig(iceServersElement, config.IceServers);
+                    }
+                    if (root.TryGetProperty("iceTransportPolicy", out var icePolicyElement))
+                    {
+                        var value = icePolicyElement.GetString();
+                        if (string.Equals(value?.Trim(), "relay", StringComparison.OrdinalIgnoreCase))
+                        {
+                            config.IceTransportPolicy = "relay";
+                        }
+                    }
+                    if (root.TryGetProperty("locale", out var localeElement))
+                    {
+                        var value = localeElement.GetString();
+                        if (!string.IsNullOrWhiteSpace(value))
+                        {
+                            config.Locale = value.Trim();
+                        }
+                    }
+                    config.CallMedia = ReadObjectSection(root, "media");
+                    config.CallCodecs = ReadObjectSection(root, "codecs");
+                    config.CallBandwidth = ReadObjectSection(root, "bandwidth");
+                    if (root.TryGetProperty("signalHeartbeat", out var heartbeatElement) && heartbeatElement.ValueKind is JsonValueKind.True or JsonValueKind.False)
+                    {
+                        config.SignalHeartbeatEnabled = heartbeatElement.GetBoolean();
+                    }
+                    if (root.TryGetProperty("signalHeartbeatIntervalMs", out var heartbeatIntervalElement) && heartbeatIntervalElement.TryGetInt32(out var heartbeatIntervalValue))
+                    {
+                        config.SignalHeartbeatIntervalMs = Math.Max(1000, heartbeatIntervalValue);
+                    }
+                    if (root.TryGetProperty("signalHeartbeatMissThreshold", out var heartbeatMissElement) && heartbeatMissElement.TryGetInt32(out var heartbeatMissValue))
+                    {
+                        config.SignalHeartbeatMissThreshold = Math.Max(1, heartbeatMissValue);
+                    }
+                    if (root.TryGetProperty("signalTransport", out var transportElement))
+                    {
+                        var value = transportElement.GetString();
+                        if (string.Equals(value?.Trim(), "mqtt", StringComparison.OrdinalIgnoreCase))
+                        {
+                            config.SignalTransport = "mqtt";
+                        }
+                    }
+                    if (root.TryGetProperty("signalMqtt", out var signalMqttElement) && signalMqttElement.ValueKind == JsonValueKind.Object)
+                    {
+                        ApplySignalMqttConfig(signalMqttElement, config.SignalMqtt);
+                    }
+                    if (root.TryGetProperty("remoteCommandAllowlist", out var allowlistElement) && allowlistElement.ValueKind == JsonValueKind.Array)
+                    {
+                        foreach (var item in allowlistElement.EnumerateArray())
+                        {
+                            var value = item.ValueKind == JsonValueKind.String ? item.GetString() : null;
+                            if (!string.IsNullOrWhiteSpace(value))
+                            {
+                                config.RemoteCommandAllowlist.Add(value.Trim());
+                            }
+                        }
+                    }
                     if (root.TryGetProperty("overlayAnimationFrameRate", out var frameRateElement) && frameRateElement.TryGetDouble(out var frameRateValue))
                     {
                         var clamped = Math.Clamp((float)frameRateValue, 0f, 120f);
@@ -404,6 +474,168 @@ namespace WpfVideoPet
             error = null;
             return true;
         }
+        /// <summary>
+        /// 生成 join 命令中携带的 ICE 服务器列表，字段名与 call.js 约定保持一致。
+        /// </summary>
+        public object[] CreateIceServersPayload()
+        {
+            return IceServers
+                .Select(server => (object)new
+                {
+                    urls = server.Urls,
+                    username = server.Username,
+                    credential = server.Credential,
+                    expiresAt = server.ExpiresAt?.ToUnixTimeMilliseconds()
+                })
+                .ToArray();
+        }
+
+        /// <summary>
+        /// 生成 join 命令中携带的 mqtt 信令参数；未启用 mqtt 传输时返回 null。
+        /// </summary>
+        public object? CreateSignalMqttPayload()
+        {
+            if (SignalTransport != "mqtt")
+            {
+                return null;
+            }
+
+            return new
+            {
+                topicPrefix = SignalMqtt.TopicPrefix,
+                clientId = SignalMqtt.ClientId,
+                username = SignalMqtt.Username,
+                password = SignalMqtt.Password,
+                keepAliveSeconds = SignalMqtt.KeepAliveSeconds,
+                presenceWaitMs = SignalMqtt.PresenceWaitMs
+            };
+        }
+
+        /// <summary>
+        /// 解析 mqtt 信令传输的 broker 参数，未填写的字段保留默认值。
+        /// </summary>
+        private static void ApplySignalMqttConfig(JsonElement element, SignalMqttConfig target)
+        {
+            if (element.TryGetProperty("topicPrefix", out var topicPrefixElement))
+            {
+                var value = topicPrefixElement.GetString();
+                if (!string.IsNullOrWhiteSpace(value))
+                {
+                    target.TopicPrefix = value.Trim().TrimEnd('/');
+                }
+            }
+
+            if (element.TryGetProperty("clientId", out var clientIdElement))
+            {
+                var value = clientIdElement.GetString();
+                target.ClientId = string.IsNullOrWhiteSpace(value) ? null : value.Trim();
+            }
+
+            if (element.TryGetProperty("username", out var usernameElement))
+            {
+                target.Username = usernameElement.GetString();
+            }
+
+            if (element.TryGetProperty("password", out var passwordElement))
+            {
+                target.Password = passwordElement.GetString();
+            }
+
+            if (element.TryGetProperty("keepAliveSeconds", out var keepAliveElement) && keepAliveElement.TryGetInt32(out var keepAliveValue))
+            {
+                target.KeepAliveSeconds = Math.Clamp(keepAliveValue, 0, 65535);
+            }
+
+            if (element.TryGetProperty("presenceWaitMs", out var presenceWaitElement) && presenceWaitElement.TryGetInt32(out var presenceWaitValue))
+            {
+                target.PresenceWaitMs = Math.Max(0, presenceWaitValue);
+            }
+        }
+
+        /// <summary>
+        /// 解析 ICE 服务器数组，兼容字符串与 { urls, username, credential, expiresAt } 对象两种写法。
+        /// </summary>
+        private static void ApplyIceServersConfig(JsonElement element, List<IceServerConfig> target)
+        {
+            foreach (var item in element.EnumerateArray())
+            {
+                var server = new IceServerConfig();
+                if (item.ValueKind == JsonValueKind.String)
+                {
+                    var url = item.GetString();
+                    if (!string.IsNullOrWhiteSpace(url))
+                    {
+                        server.Urls.Add(url.Trim());
+                    }
+                }
+                else if (item.ValueKind == JsonValueKind.Object)
+                {
+                    if (item.TryGetProperty("urls", out var urlsElement))
+                    {
+                        if (urlsElement.ValueKind == JsonValueKind.Array)
+                        {
+                            foreach (var urlElement in urlsElement.EnumerateArray())
+                            {
+                                var url = urlElement.GetString();
+                                if (!string.IsNullOrWhiteSpace(url))
+                                {
+                                    server.Urls.Add(url.Trim());
+                                }
+                            }
+                        }
+                        else if (urlsElement.ValueKind == JsonValueKind.String)
+                        {
+                            var url = urlsElement.GetString();
+                            if (!string.IsNullOrWhiteSpace(url))
+                            {
+                                server.Urls.Add(url.Trim());
+                            }
+                        }
+                    }
+
+                    if (item.TryGetProperty("username", out var usernameElement))
+                    {
+                        server.Username = usernameElement.GetString();
+                    }
+
+                    if (item.TryGetProperty("credential", out var credentialElement))
+                    {
+                        server.Credential = credentialElement.GetString();
+                    }
+
+                    if (item.TryGetProperty("expiresAt", out var expiresElement))
+                    {
+                        if (expiresElement.ValueKind == JsonValueKind.String
+                            && DateTimeOffset.TryParse(expiresElement.GetString(), out var expiresAt))
+                        {
+                            server.ExpiresAt = expiresAt;
+                        }
+                        else if (expiresElement.ValueKind == JsonValueKind.Number
+                            && expiresElement.TryGetInt64(out var expiresAtMs)
+                            && expiresAtMs is >= 0 and <= 253402300799999)
+                        {
+                            server.ExpiresAt = DateTimeOffset.FromUnixTimeMilliseconds(expiresAtMs); // 数字按 Unix 毫秒时间戳处理，与页面一致
+                        }
+                    }
+                }
+
+                if (server.Urls.Count > 0)
+                {
+                    target.Add(server);
+                }
+            }
+        }
+
+        /// <summary>
+        /// 读取对象类型的配置段并复制一份，供页面自行校验字段；缺省或类型不符时返回 null。
+        /// </summary>
+        private static JsonElement? ReadObjectSection(JsonElement root, string name)
+        {
+            return root.TryGetProperty(name, out var element) && element.ValueKind == JsonValueKind.Object
+                ? element.Clone()
+                : null;
+        }
+
         /// <summary>
         /// 从 JSON 元素解析叠加层渲染配置，兼容对象与“宽x高”字符串两种写法。
         /// </summary>
@@ -603,6 +835,26 @@ namespace WpfVideoPet
         }
     }
 }
+/// <summary>
+/// 描述单个 STUN/TURN 服务器，TURN 可附带用户名、凭证以及临时凭证的过期时间。
+/// </summary>
+public sealed class IceServerConfig
+{
+    /// <summary>
+    /// 服务器地址列表，例如 stun:host:3478、turn:host:3478?transport=udp。
+    /// </summary>
+    public List<string> Urls { get; } = new();
+
+    public string? Username { get; set; }
+
+    public string? Credential { get; set; }
+
+    /// <summary>
+    /// 临时凭证的过期时间，过期后页面会忽略该服务器。
+    /// </summary>
+    public DateTimeOffset? ExpiresAt { get; set; }
+}
+
 /// <summary>
 /// 定义叠加层的渲染输出尺寸，允许通过配置文件调整宽高。
 /// </summary>
@@ -716,6 +968,39 @@ public sealed class MqttConfig
     }
 }
 
+/// <summary>
+/// 通话页面通过 MQTT over WebSocket 交换信令时的 broker 参数，字段名与 call.js 的 mqtt 配置一致。
+/// </summary>
+public sealed class SignalMqttConfig
+{
+    /// <summary>
+    /// 信令主题前缀，实际主题为 {topicPrefix}/{room}/...。
+    /// </summary>
+    public string TopicPrefix { get; set; } = "webrtc";
+
+    /// <summary>
+    /// MQTT ClientId，为空时由页面按角色随机生成；同一 broker 上不可重复。
+    /// </summary>
+    public string? ClientId { get; set; }
+
+    public string? Username { get; set; }
+
+    /// <summary>
+    /// broker 密码，为空时页面改用 join 携带的 token。
+    /// </summary>
+    public string? Password { get; set; }
+
+    /// <summary>
+    /// MQTT 心跳秒数，0 表示不发送 PINGREQ。
+    /// </summary>
+    public int KeepAliveSeconds { get; set; } = 30;
+
+    /// <summary>
+    /// 订阅后等待 retained 坐席在线状态的毫秒数。
+    /// </summary>
+    public int PresenceWaitMs { get; set; } = 1500;
+}
+
 // <summary>
 /// 描述远程媒体订阅的基础配置，目前仅包含主题设置。
 /// </summary>
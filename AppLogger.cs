@@ -37,6 +37,11 @@ namespace WpfVideoPet
             }
         }
 
+        /// <summary>
+        /// 高频诊断信息只输出到调试器，不写入日志文件。
+        /// </summary>
+        public static void Debug(string message) => WriteLine("DEBUG", message, writeToFile: false);
+
         public static void Info(string message) => WriteLine("INFO", message);
 
         public static void Warn(string message) => WriteLine("WARN", message);
@@ -45,7 +50,7 @@ namespace WpfVideoPet
 
         public static void Error(Exception exception, string message) => WriteLine("ERROR", $"{message} | {exception}");
 
-        private static void WriteLine(string level, string message)
+        private static void WriteLine(string level, string message, bool writeToFile = true)
         {
             if (string.IsNullOrWhiteSpace(message))
             {
@@ -55,7 +60,11 @@ namespace WpfVideoPet
             var timestamp = DateTime.Now.ToString("yyyy-MM-dd HH:mm:ss.fff", CultureInfo.InvariantCulture);
             var line = $"[{timestamp}] [{level}] {message}";
 
-            Debug.WriteLine(line);
+            System.Diagnostics.Debug.WriteLine(line);
+            if (!writeToFile)
+            {
+                return;
+            }
 
             lock (SyncRoot)
             {
@@ -1,11 +1,371 @@
 ﻿(() => {
+    const DEFAULT_LOCALE = 'zh-CN';
+    const MESSAGE_CATALOG = {
+        'zh-CN': {
+            'status.autoplay-blocked-operator': '访客视频已接通，如未听到声音请点击页面允许播放。',
+            'status.autoplay-blocked-client': '视频已接通，如未听到声音请点击页面允许播放。',
+            'timeout.ring': '坐席暂未接听，本次呼叫已结束。',
+            'timeout.connect': '连接超时，通话已结束。',
+            'timeout.max-duration': '通话已达到最长时长，已自动结束。',
+            'error.bandwidth': '调整发送码率失败。',
+            'media.audio-only': '未检测到可用摄像头，已切换为仅语音通话。',
+            'media.receive-only': '无法获取本地音视频设备，当前仅能接收对方画面。',
+            'error.device-enumerate': '无法枚举本地音视频设备。',
+            'error.device-switch': '切换音视频设备失败，请确认设备已连接。',
+            'error.screen-share-no-call': '当前没有进行中的通话，无法共享屏幕。',
+            'error.screen-share-not-operator': '只有坐席端可以共享屏幕。',
+            'error.screen-share-unsupported': '当前环境不支持屏幕共享。',
+            'error.screen-share-capture': '未能获取屏幕共享画面。',
+            'error.screen-share-start': '屏幕共享启动失败。',
+            'error.recording-active': '录制已在进行中。',
+            'error.recording-no-call': '当前没有进行中的通话，无法录制。',
+            'error.recording-unsupported': '当前环境不支持通话录制。',
+            'error.recording-start': '启动通话录制失败。',
+            'error.snapshot-local-not-ready': '本地画面尚未就绪，无法截图。',
+            'error.snapshot-remote-not-ready': '远端画面尚未就绪，无法截图。',
+            'call.established': '通话已建立',
+            'call.operator-connected': '坐席已接通',
+            'call.recovering': '网络波动，正在恢复连接...',
+            'call.disconnected': '连接已断开',
+            'call.connect-failed': '无法建立媒体连接，通话已结束。',
+            'call.recovered': '通话已恢复',
+            'error.relay-without-turn': '已启用仅中继模式，但未配置可用的 TURN 服务器。',
+            'error.chat-empty': '消息内容不能为空。',
+            'error.chat-channel-closed': '通话文字通道尚未建立。',
+            'error.remote-command-not-operator': '只有坐席端可以发送远程命令。',
+            'error.remote-command-no-call': '当前没有进行中的通话，无法发送远程命令。',
+            'error.remote-command-name': '远程命令名称不能为空。',
+            'error.remote-command-channel': '通话数据通道尚未建立，无法传递远程命令。',
+            'error.remote-command-unknown': '未找到待应答的远程命令：{id}',
+            'error.remote-command-duplicate': '远程命令 {id} 仍在等待应答，请勿重复使用该 id。',
+            'error.offer': '创建本地 Offer 失败，请稍后重试。',
+            'error.answer': '处理远端 Offer 失败，请稍后重试。',
+            'call.ended': '通话已结束',
+            'queue.still-waiting': '仍有访客在排队等待',
+            'operator.idle': '等待访客呼入',
+            'client.waiting-operator': '信令连接成功，正在等待坐席响应...',
+            'queue.cancelled': '访客已取消呼叫',
+            'call.connecting': '正在建立连接...',
+            'client.operator-accepted': '坐席已接听，正在建立连接...',
+            'call.rejected': '坐席已拒绝本次通话。',
+            'call.busy': '坐席正在忙碌，请稍后再试。',
+            'call.no-operator': '坐席当前离线。',
+            'call.operator-offline': '坐席已离线。',
+            'call.client-ended': '访客已结束通话。',
+            'call.visitor-hangup': '访客已挂断。',
+            'call.operator-hangup': '坐席已挂断。',
+            'alert.unauthorized': '坐席鉴权失败，请检查访问凭证。',
+            'call.unauthorized': '鉴权失败。',
+            'alert.operator-exists': '当前房间已存在一个坐席，请勿重复登录。',
+            'call.operator-exists': '已有其他坐席在线。',
+            'signal.closed': '信令连接已断开',
+            'signal.recovering': '信令连接异常，正在尝试恢复...',
+            'signal.error': '信令连接异常',
+            'signal.stale': '信令连接无响应，正在检测...',
+            'signal.connecting': '正在连接信令服务器...',
+            'error.signal-url-missing': '信令服务器地址未配置。',
+            'error.signal-connect': '无法连接信令服务器。',
+            'operator.initializing': '正在初始化坐席端...',
+            'client.preparing': '正在准备访客端...',
+            'queue.timeout': '访客等待超时',
+            'queue.incoming': '有新的访客请求',
+            'operator.accepting': '正在接通访客...',
+            'error.accept-not-operator': '仅坐席端可以接听访客。',
+            'error.no-pending-client': '当前没有等待接听的访客。',
+            'error.accept-in-call': '请先结束当前通话再接听新的访客。',
+            'signal.server-error': '信令服务器拒绝了请求：{code}',
+            'error.reject-not-operator': '仅坐席端可以拒绝访客。',
+            'queue.rejected': '已拒绝访客请求',
+            'error.no-active-call': '当前没有进行中的通话。',
+            'call.hangup': '已结束通话',
+            'signal.reconnecting': '信令连接中断，{seconds} 秒后重新连接（第 {attempt} 次）...',
+            'queue.waiting-many': '有 {count} 位访客正在排队',
+            'error.unknown-command': '未知的宿主命令：{command}',
+            'page.title': '视频通话',
+            'page.initializing': '正在初始化...',
+            'overlay.remote-video-off': '对方已关闭摄像头',
+            'overlay.remote-audio-off': '对方已关闭麦克风',
+            'overlay.no-camera': '对方未开启摄像头',
+            'overlay.recording': '录制中',
+            'standalone.accept': '接听',
+            'standalone.reject': '拒绝',
+            'standalone.role': '角色',
+            'standalone.role-client': '访客',
+            'standalone.role-operator': '坐席',
+            'standalone.room': '房间号',
+            'standalone.signal-server': '信令服务器',
+            'standalone.token': '坐席凭证',
+            'standalone.locale': '语言',
+            'standalone.join': '加入',
+            'standalone.mute-audio': '静音',
+            'standalone.unmute-audio': '取消静音',
+            'standalone.mute-video': '关闭摄像头',
+            'standalone.unmute-video': '开启摄像头',
+            'standalone.hangup': '挂断',
+            'standalone.settings': '设置',
+            'standalone.fill-form': '请填写通话配置后点击加入',
+            'self-test.camera-ok': '摄像头工作正常',
+            'self-test.camera-muted': '摄像头已打开但没有画面',
+            'self-test.camera-missing': '未检测到摄像头',
+            'self-test.camera-denied': '摄像头访问被拒绝',
+            'self-test.camera-error': '摄像头无法采集画面',
+            'self-test.mic-ok': '麦克风工作正常',
+            'self-test.mic-silent': '麦克风未检测到声音，请确认已取消静音并靠近说话',
+            'self-test.mic-missing': '未检测到麦克风',
+            'self-test.mic-denied': '麦克风访问被拒绝',
+            'self-test.mic-error': '麦克风无法采集声音',
+            'self-test.loopback-ok': '本地音视频收发正常',
+            'self-test.loopback-no-media': '本地回环已连接但未收到媒体数据',
+            'self-test.loopback-failed': '本地回环连接未能建立',
+            'self-test.ice-ok': '网络候选收集正常',
+            'self-test.ice-no-relay': '已配置 TURN 服务器，但未获得中继候选',
+            'self-test.ice-no-srflx': '未获得公网映射候选，跨网络通话可能无法建立',
+            'self-test.ice-relay-required': '已启用仅中继模式，但未获得中继候选',
+            'self-test.ice-none': '未收集到任何网络候选',
+            'self-test.signal-ok': '信令往返 {rttMs} 毫秒',
+            'self-test.signal-slow': '信令往返较慢（{rttMs} 毫秒）',
+            'self-test.signal-timeout': '信令服务器未应答',
+            'self-test.signal-no-pong': '信令已连接，服务器不支持 ping，无法测量往返时延',
+            'self-test.signal-not-connected': '信令尚未连接',
+            'error.self-test-in-call': '通话进行中，无法执行自检。',
+            'error.self-test-running': '自检正在进行中。',
+        },
+        'en-US': {
+            'status.autoplay-blocked-operator': 'Visitor video connected. If there is no sound, click the page to allow playback.',
+            'status.autoplay-blocked-client': 'Video connected. If there is no sound, click the page to allow playback.',
+            'timeout.ring': 'No operator answered. The call has ended.',
+            'timeout.connect': 'Connection timed out. The call has ended.',
+            'timeout.max-duration': 'The call reached its maximum duration and was ended.',
+            'error.bandwidth': 'Failed to adjust the sending bitrate.',
+            'media.audio-only': 'No usable camera found. Switched to an audio-only call.',
+            'media.receive-only': 'Local camera and microphone are unavailable. Receiving only.',
+            'error.device-enumerate': 'Unable to list local audio and video devices.',
+            'error.device-switch': 'Failed to switch devices. Check that the device is connected.',
+            'error.screen-share-no-call': 'There is no active call to share the screen with.',
+            'error.screen-share-not-operator': 'Only the operator can share the screen.',
+            'error.screen-share-unsupported': 'Screen sharing is not supported in this environment.',
+            'error.screen-share-capture': 'Could not capture the screen.',
+            'error.screen-share-start': 'Failed to start screen sharing.',
+            'error.recording-active': 'Recording is already in progress.',
+            'error.recording-no-call': 'There is no active call to record.',
+            'error.recording-unsupported': 'Call recording is not supported in this environment.',
+            'error.recording-start': 'Failed to start call recording.',
+            'error.snapshot-local-not-ready': 'Local video is not ready for a snapshot.',
+            'error.snapshot-remote-not-ready': 'Remote video is not ready for a snapshot.',
+            'call.established': 'Call connected',
+            'call.operator-connected': 'Operator connected',
+            'call.recovering': 'Network unstable, restoring the connection...',
+            'call.disconnected': 'Connection lost',
+            'call.connect-failed': 'Could not establish the media connection. The call has ended.',
+            'call.recovered': 'Call restored',
+            'error.relay-without-turn': 'Relay-only mode is enabled but no TURN server is configured.',
+            'error.chat-empty': 'Message text cannot be empty.',
+            'error.chat-channel-closed': 'The in-call text channel is not open yet.',
+            'error.remote-command-not-operator': 'Only the operator can send remote commands.',
+            'error.remote-command-no-call': 'There is no active call to send the remote command to.',
+            'error.remote-command-name': 'Remote command name cannot be empty.',
+            'error.remote-command-channel': 'The in-call data channel is not open, so the remote command cannot be delivered.',
+            'error.remote-command-unknown': 'No pending remote command with id {id}.',
+            'error.remote-command-duplicate': 'Remote command {id} is still pending; use a new id.',
+            'error.offer': 'Failed to create the local offer. Please try again later.',
+            'error.answer': 'Failed to handle the remote offer. Please try again later.',
+            'call.ended': 'Call ended',
+            'queue.still-waiting': 'Visitors are still waiting in the queue',
+            'operator.idle': 'Waiting for visitors',
+            'client.waiting-operator': 'Connected. Waiting for an operator to respond...',
+            'queue.cancelled': 'The visitor cancelled the call',
+            'call.connecting': 'Establishing the connection...',
+            'client.operator-accepted': 'The operator answered. Establishing the connection...',
+            'call.rejected': 'The operator declined the call.',
+            'call.busy': 'The operator is busy. Please try again later.',
+            'call.no-operator': 'No operator is online.',
+            'call.operator-offline': 'The operator went offline.',
+            'call.client-ended': 'The visitor ended the call.',
+            'call.visitor-hangup': 'The visitor hung up.',
+            'call.operator-hangup': 'The operator hung up.',
+            'alert.unauthorized': 'Operator authentication failed. Check the access token.',
+            'call.unauthorized': 'Authentication failed.',
+            'alert.operator-exists': 'An operator is already signed in to this room.',
+            'call.operator-exists': 'Another operator is already online.',
+            'signal.closed': 'Signaling connection lost',
+            'signal.recovering': 'Signaling error, trying to recover...',
+            'signal.error': 'Signaling connection error',
+            'signal.stale': 'Signaling is not responding, checking...',
+            'signal.connecting': 'Connecting to the signaling server...',
+            'error.signal-url-missing': 'The signaling server address is not configured.',
+            'error.signal-connect': 'Unable to connect to the signaling server.',
+            'operator.initializing': 'Initializing the operator console...',
+            'client.preparing': 'Preparing the visitor client...',
+            'queue.timeout': 'The visitor waited too long',
+            'queue.incoming': 'New visitor request',
+            'operator.accepting': 'Connecting to the visitor...',
+            'error.accept-not-operator': 'Only the operator can accept visitors.',
+            'error.no-pending-client': 'No visitor is waiting.',
+            'error.accept-in-call': 'End the current call before accepting another visitor.',
+            'signal.server-error': 'The signaling server rejected the request: {code}',
+            'error.reject-not-operator': 'Only the operator can reject visitors.',
+            'queue.rejected': 'Visitor request rejected',
+            'error.no-active-call': 'There is no active call.',
+            'call.hangup': 'You ended the call',
+            'signal.reconnecting': 'Signaling interrupted. Reconnecting in {seconds}s (attempt {attempt})...',
+            'queue.waiting-many': '{count} visitors are waiting',
+            'error.unknown-command': 'Unknown host command: {command}',
+            'page.title': 'Video call',
+            'page.initializing': 'Initializing...',
+            'overlay.remote-video-off': 'Camera is off on the other side',
+            'overlay.remote-audio-off': 'Microphone is muted on the other side',
+            'overlay.no-camera': 'The other side has no camera',
+            'overlay.recording': 'Recording',
+            'standalone.accept': 'Accept',
+            'standalone.reject': 'Reject',
+            'standalone.role': 'Role',
+            'standalone.role-client': 'Visitor',
+            'standalone.role-operator': 'Operator',
+            'standalone.room': 'Room',
+            'standalone.signal-server': 'Signaling server',
+            'standalone.token': 'Operator token',
+            'standalone.locale': 'Language',
+            'standalone.join': 'Join',
+            'standalone.mute-audio': 'Mute',
+            'standalone.unmute-audio': 'Unmute',
+            'standalone.mute-video': 'Camera off',
+            'standalone.unmute-video': 'Camera on',
+            'standalone.hangup': 'Hang up',
+            'standalone.settings': 'Settings',
+            'standalone.fill-form': 'Fill in the call settings and click Join',
+            'self-test.camera-ok': 'Camera is working',
+            'self-test.camera-muted': 'Camera is open but produces no frames',
+            'self-test.camera-missing': 'No camera found',
+            'self-test.camera-denied': 'Camera access was denied',
+            'self-test.camera-error': 'Camera could not capture video',
+            'self-test.mic-ok': 'Microphone is working',
+            'self-test.mic-silent': 'Microphone picked up no sound; check that it is unmuted and speak closer',
+            'self-test.mic-missing': 'No microphone found',
+            'self-test.mic-denied': 'Microphone access was denied',
+            'self-test.mic-error': 'Microphone could not capture audio',
+            'self-test.loopback-ok': 'Local media loopback works',
+            'self-test.loopback-no-media': 'Loopback connected but no media was received',
+            'self-test.loopback-failed': 'Local loopback connection could not be established',
+            'self-test.ice-ok': 'Network candidates gathered normally',
+            'self-test.ice-no-relay': 'TURN is configured but no relay candidate was gathered',
+            'self-test.ice-no-srflx': 'No server-reflexive candidate; calls across networks may fail',
+            'self-test.ice-relay-required': 'Relay-only mode is on but no relay candidate was gathered',
+            'self-test.ice-none': 'No network candidates were gathered',
+            'self-test.signal-ok': 'Signaling round trip {rttMs} ms',
+            'self-test.signal-slow': 'Signaling round trip is slow ({rttMs} ms)',
+            'self-test.signal-timeout': 'Signaling server did not respond',
+            'self-test.signal-no-pong': 'Signaling is connected, but the server does not answer ping, so round trip time is unknown',
+            'self-test.signal-not-connected': 'Signaling is not connected',
+            'error.self-test-in-call': 'Cannot run a self-test during a call.',
+            'error.self-test-running': 'A self-test is already running.',
+        },
+    };
+
+    const DEFAULT_ICE_SERVERS = [
+        { urls: 'stun:stun.l.google.com:19302' },
+    ];
+
+    const DEFAULT_RECONNECT = {
+        enabled: true,
+        baseDelayMs: 1000,
+        maxDelayMs: 30000,
+        maxAttempts: 10,
+        stableMs: 10000,
+    };
+
+    const DEFAULT_ICE_RECOVERY = {
+        disconnectGraceMs: 4000,
+        recoveryTimeoutMs: 15000,
+    };
+
+    const DEFAULT_STATS = {
+        enabled: true,
+        intervalMs: 5000,
+    };
+
+    // 电平为时域 RMS（0~1），开口阈值高于静音阈值形成滞回。
+    const DEFAULT_AUDIO_LEVELS = {
+        enabled: true,
+        sampleIntervalMs: 50,
+        reportIntervalMs: 250,
+        speakingThreshold: 0.04,
+        silenceThreshold: 0.02,
+        hangoverMs: 600,
+    };
+    const AUDIO_METER_SOURCES = ['local', 'remote'];
+
+    const DIAGNOSTICS_MAX_ENTRIES = 500;
+    const DIAGNOSTICS_MAX_TEXT = 500;
+    const DIAGNOSTICS_BINARY_TYPES = ['snapshot', 'recording-chunk'];
+
+    const DEFAULT_SELF_TEST = {
+        micSampleMs: 2000,
+        micLevelThreshold: 0.01,
+        loopbackTimeoutMs: 8000,
+        loopbackMediaWaitMs: 1500,
+        iceGatherTimeoutMs: 8000,
+        signalTimeoutMs: 5000,
+        signalRttWarnMs: 500,
+    };
+    const SELF_TEST_STATUS_RANK = { pass: 0, warn: 1, fail: 2 };
+
+    const DATA_CHANNEL_ID = 0;
+    const CAPTION_DISPLAY_MS = 8000;
+    const CAPTION_MAX_LINES = 3;
+
+    const DEFAULT_REMOTE_COMMANDS = {
+        allow: [],
+        timeoutMs: 15000,
+    };
+
+    const RECORDING_MIME_TYPES = [
+        'video/webm;codecs=vp8,opus',
+        'video/webm;codecs=vp9,opus',
+        'video/webm',
+    ];
+    const RECORDING_TIMESLICE_MS = 2000;
+    const RECORDING_PIP_FPS = 15;
+
+    const DEFAULT_QUEUE_TIMEOUT_MS = 60000;
+    const DEFAULT_TIMEOUTS = {
+        ringMs: 60000,
+        connectMs: 30000,
+        maxDurationMs: 0,
+        tickIntervalMs: 1000,
+    };
+
+    const MQTT_PACKET = {
+        CONNECT: 1,
+        CONNACK: 2,
+        PUBLISH: 3,
+        PUBACK: 4,
+        SUBSCRIBE: 8,
+        SUBACK: 9,
+        PINGREQ: 12,
+        PINGRESP: 13,
+        DISCONNECT: 14,
+    };
+    const DEFAULT_MQTT = {
+        topicPrefix: 'webrtc',
+        keepAliveSeconds: 30,
+        presenceWaitMs: 1500,
+    };
+    const DEFAULT_HEARTBEAT = {
+        enabled: false,
+        intervalMs: 15000,
+        missThreshold: 3,
+    };
+    const textEncoder = new TextEncoder();
+    const textDecoder = new TextDecoder();
+
     const state = {
         role: 'client',
         room: 'default',
         token: null,
         wsUrl: '',
         ws: null,
-        pendingClientId: null,
+        pendingQueue: [],
+        queueTimeoutMs: DEFAULT_QUEUE_TIMEOUT_MS,
         currentClientId: null,
         peer: null,
         localStream: null,
@@ -15,11 +375,93 @@
         expectingCloseSocket: null,
         autoplayPrompted: false,
         pendingCandidates: [],
+        peerCreating: null,
+        makingOffer: false,
+        ignoreOffer: false,
+        isSettingRemoteAnswerPending: false,
+        iceServers: DEFAULT_ICE_SERVERS,
+        iceTransportPolicy: 'all',
+        reconnect: { ...DEFAULT_RECONNECT },
+        reconnectAttempt: 0,
+        reconnectTimer: null,
+        reconnectSuppressed: false,
+        iceRecovery: { ...DEFAULT_ICE_RECOVERY },
+        disconnectGraceTimer: null,
+        recoveryTimer: null,
+        stats: { ...DEFAULT_STATS },
+        statsTimer: null,
+        lastStatsSample: null,
+        callQuality: null,
+        diagnostics: [],
+        diagnosticsDropped: 0,
+        lastCallStats: null,
+        audioLevels: { ...DEFAULT_AUDIO_LEVELS },
+        audioContext: null,
+        audioMeters: { local: null, remote: null },
+        audioMeterTimer: null,
+        lastAudioLevelReportAt: 0,
+        audioDeviceId: null,
+        videoDeviceId: null,
+        audioMuted: false,
+        videoMuted: false,
+        remoteAudioMuted: false,
+        remoteVideoMuted: false,
+        screenStream: null,
+        remoteScreenSharing: false,
+        dataChannel: null,
+        pendingChatAcks: new Map(),
+        acceptingClientId: null,
+        remoteCommands: { ...DEFAULT_REMOTE_COMMANDS },
+        pendingRemoteCommands: new Map(),
+        receivedRemoteCommands: new Map(),
+        captionsEnabled: true,
+        recording: null,
+        timeouts: { ...DEFAULT_TIMEOUTS },
+        phaseTimers: {},
+        callStartedAt: null,
+        callTickTimer: null,
+        transport: 'websocket',
+        mqtt: null,
+        mqttSessionId: null,
+        operatorState: null,
+        heartbeat: { ...DEFAULT_HEARTBEAT },
+        heartbeatTimer: null,
+        heartbeatMisses: 0,
+        heartbeatConfirmed: false,
+        pendingPing: null,
+        signalStale: false,
+        mediaConstraints: { video: {}, audio: {} },
+        codecPreferences: { video: [], audio: [] },
+        bandwidth: { videoMaxBitrateKbps: null, audioMaxBitrateKbps: null, degradationPreference: null },
+        mediaMode: null,
+        remoteMediaMode: null,
+        callId: null,
+        autoSnapshot: null,
+        autoSnapshotTimer: null,
+        autoSnapshotCallId: null,
+        locale: DEFAULT_LOCALE,
+        standalone: false,
+        selfTestRunning: false,
+        selfTestPing: null,
     };
 
     const statusBar = document.getElementById('statusBar');
     const localVideo = document.getElementById('localVideo');
     const remoteVideo = document.getElementById('remoteVideo');
+    const remoteMuteOverlay = document.getElementById('remoteMuteOverlay');
+    const remoteVideoOffLabel = document.getElementById('remoteVideoOff');
+    const remoteAudioOffLabel = document.getElementById('remoteAudioOff');
+    const captionOverlay = document.getElementById('captionOverlay');
+    const recordingIndicator = document.getElementById('recordingIndicator');
+    const remotePlaceholder = document.getElementById('remotePlaceholder');
+    const standalonePanel = document.getElementById('standalonePanel');
+    const standaloneForm = document.getElementById('standaloneForm');
+    const incomingBanner = document.getElementById('incomingBanner');
+    const incomingText = document.getElementById('incomingText');
+    const callControls = document.getElementById('callControls');
+    const muteAudioButton = document.getElementById('muteAudioButton');
+    const muteVideoButton = document.getElementById('muteVideoButton');
+    const joinButton = document.getElementById('joinButton');
     remoteVideo.srcObject = state.remoteStream;
 
     function updateLocalPreviewVisibility() {
@@ -47,9 +489,9 @@
                     }
                     state.autoplayPrompted = true;
                     if (state.role === 'operator') {
-                        updateStatusBar('访客视频已接通，如未听到声音请点击页面允许播放。');
+                        updateStatusBar('status.autoplay-blocked-operator');
                     } else {
-                        setClientStatus('视频已接通，如未听到声音请点击页面允许播放。');
+                        setClientStatus('status.autoplay-blocked-client');
                     }
                 });
             }
@@ -62,6 +504,69 @@
 
     function log(...args) {
         console.log('[call]', ...args);
+        recordDiagnostic('log', null, args.map(summarizeLogArg).join(' '));
+    }
+
+    function truncateText(text) {
+        return text.length > DIAGNOSTICS_MAX_TEXT ? `${text.slice(0, DIAGNOSTICS_MAX_TEXT)}...` : text;
+    }
+
+    function summarizeLogArg(arg) {
+        if (arg instanceof Error || arg instanceof DOMException) {
+            return `${arg.name}: ${arg.message}`;
+        }
+        if (typeof arg !== 'object' || arg === null) {
+            return String(arg);
+        }
+        if (DIAGNOSTICS_BINARY_TYPES.includes(arg.type) && typeof arg.data === 'string') {
+            return truncateText(JSON.stringify({ ...arg, data: `<${arg.data.length} base64 chars>` }));
+        }
+        try {
+            return truncateText(JSON.stringify(arg));
+        } catch (err) {
+            return Object.prototype.toString.call(arg);
+        }
+    }
+
+    function recordDiagnostic(category, event, detail) {
+        const entries = state.diagnostics;
+        entries.push({ time: new Date().toISOString(), category, event, detail: detail ?? null });
+        if (entries.length > DIAGNOSTICS_MAX_ENTRIES) {
+            entries.shift();
+            state.diagnosticsDropped += 1;
+        }
+    }
+
+    function summarizeSdp(sdp) {
+        const media = sdp.split(/\r?\n/)
+            .filter((line) => line.startsWith('m='))
+            .map((line) => line.slice(2).split(' ')[0]);
+        return { length: sdp.length, media };
+    }
+
+    // 只保留候选类型和协议，不导出地址。
+    function summarizeCandidate(candidate) {
+        const text = candidate?.candidate || '';
+        const type = / typ (\w+)/.exec(text)?.[1] || null;
+        const protocol = text.split(' ')[2]?.toLowerCase() || null;
+        return { type, protocol, sdpMid: candidate?.sdpMid ?? null };
+    }
+
+    // SDP 只留摘要，候选去掉地址，凭证打码。
+    function redactSignal(message) {
+        const copy = { ...message };
+        if (copy.token) {
+            copy.token = '***';
+        }
+        const payload = copy.payload;
+        if (payload && typeof payload === 'object') {
+            if (typeof payload.sdp === 'string') {
+                copy.payload = { type: payload.type, sdp: summarizeSdp(payload.sdp) };
+            } else if (typeof payload.candidate === 'string') {
+                copy.payload = summarizeCandidate(payload);
+            }
+        }
+        return copy;
     }
 
     function sendToHost(payload) {
@@ -71,6 +576,8 @@
                 window.chrome.webview.postMessage(json);
             } else if (window.external && typeof window.external.notify === 'function') {
                 window.external.notify(json);
+            } else if (state.standalone) {
+                handleStandaloneMessage(payload);
             } else {
                 log('Host message', payload);
             }
@@ -79,48 +586,480 @@
         }
     }
 
-    function updateStatusBar(message) {
-        if (typeof message === 'string' && statusBar) {
-            statusBar.textContent = message;
+    function resolveLocale(locale) {
+        if (typeof locale !== 'string' || !locale) {
+            return DEFAULT_LOCALE;
+        }
+        if (MESSAGE_CATALOG[locale]) {
+            return locale;
+        }
+        const language = locale.split('-')[0].toLowerCase();
+        return Object.keys(MESSAGE_CATALOG).find((key) => key.split('-')[0] === language) || DEFAULT_LOCALE;
+    }
+
+    function translate(messageCode, params = {}) {
+        const bundle = MESSAGE_CATALOG[state.locale] || MESSAGE_CATALOG[DEFAULT_LOCALE];
+        const template = bundle[messageCode] ?? MESSAGE_CATALOG[DEFAULT_LOCALE][messageCode] ?? messageCode;
+        return template.replace(/\{(\w+)\}/g, (_, key) => String(params[key] ?? ''));
+    }
+
+    function applyPageLocale() {
+        document.documentElement.lang = state.locale;
+        document.title = translate('page.title');
+        document.querySelectorAll('[data-i18n]').forEach((element) => {
+            element.textContent = translate(element.getAttribute('data-i18n'));
+        });
+    }
+
+    function updateStatusBar(messageCode, params) {
+        if (typeof messageCode === 'string' && statusBar) {
+            statusBar.textContent = translate(messageCode, params);
         }
     }
 
-    function setClientStatus(message) {
-        if (!message) {
+    function setClientStatus(messageCode, params) {
+        if (!messageCode) {
             return;
         }
-        updateStatusBar(message);
-        sendToHost({ type: 'client-status', message });
+        recordDiagnostic('state', 'client-status', messageCode);
+        updateStatusBar(messageCode, params);
+        sendToHost({ type: 'client-status', message: translate(messageCode, params), messageCode });
     }
 
-    function emitClientEvent(event, message) {
-        sendToHost({ type: 'client-event', event, message });
+    function emitClientEvent(event, messageCode, params) {
+        sendToHost({ type: 'client-event', event, message: translate(messageCode, params), messageCode });
     }
 
-    function emitClientError(code, message) {
-        sendToHost({ type: 'client-error', code, message });
+    function emitClientError(code, messageCode, params) {
+        recordDiagnostic('error', code, messageCode);
+        sendToHost({ type: 'client-error', code, message: translate(messageCode, params), messageCode });
     }
 
-    function emitAlert(message) {
-        if (!message) {
+    function emitAlert(messageCode) {
+        if (!messageCode) {
             return;
         }
-        sendToHost({ type: 'alert', message });
+        recordDiagnostic('error', 'alert', messageCode);
+        sendToHost({ type: 'alert', message: translate(messageCode), messageCode });
     }
 
-    function setOperatorState(stateName, displayMessage) {
-        if (displayMessage) {
-            updateStatusBar(displayMessage);
+    function setOperatorState(stateName, messageCode, params) {
+        const payload = { type: 'operator-state', state: stateName };
+        if (messageCode) {
+            updateStatusBar(messageCode, params);
+            payload.message = translate(messageCode, params);
+            payload.messageCode = messageCode;
+        }
+        if (state.operatorState !== stateName) {
+            recordDiagnostic('state', 'operator-state', { from: state.operatorState, to: stateName });
         }
-        sendToHost({ type: 'operator-state', state: stateName });
+        state.operatorState = stateName;
+        sendToHost(payload);
     }
 
     function setCallState(callState) {
         if (state.callState === callState) {
             return;
         }
+        recordDiagnostic('state', 'call-state', { from: state.callState, to: callState });
         state.callState = callState;
-        sendToHost({ type: 'call-state', state: callState });
+        if (callState === 'connecting' || callState === 'active') {
+            state.callId = state.callId || createMessageId();
+        }
+        sendToHost({ type: 'call-state', state: callState, callId: state.callId });
+        if (callState === 'ended') {
+            state.callId = null;
+        }
+        if (callState === 'active') {
+            clearPhaseTimer('connect');
+            startCallTimer();
+            scheduleAutoSnapshot();
+            applySenderParameters().catch((err) => log('apply sender parameters failed', err));
+            sendMuteState();
+            startStatsPolling();
+            startAudioMetering();
+        } else if (callState !== 'reconnecting') {
+            stopStatsPolling();
+        }
+    }
+
+    function applyTimeoutConfig(message) {
+        const source = message.timeouts && typeof message.timeouts === 'object' ? message.timeouts : {};
+        const readNumber = (value, fallback) => (Number.isFinite(Number(value)) && Number(value) >= 0 ? Number(value) : fallback);
+        state.timeouts = {
+            ringMs: readNumber(source.ringMs, DEFAULT_TIMEOUTS.ringMs),
+            connectMs: readNumber(source.connectMs, DEFAULT_TIMEOUTS.connectMs),
+            maxDurationMs: readNumber(source.maxDurationMs, DEFAULT_TIMEOUTS.maxDurationMs),
+            tickIntervalMs: Math.max(250, readNumber(source.tickIntervalMs, DEFAULT_TIMEOUTS.tickIntervalMs)),
+        };
+    }
+
+    // 取值为 0 表示该阶段不限时。
+    function startPhaseTimer(phase, durationMs) {
+        clearPhaseTimer(phase);
+        if (!durationMs) {
+            return;
+        }
+        state.phaseTimers[phase] = setTimeout(() => {
+            delete state.phaseTimers[phase];
+            handlePhaseTimeout(phase);
+        }, durationMs);
+    }
+
+    function clearPhaseTimer(phase) {
+        if (state.phaseTimers[phase]) {
+            clearTimeout(state.phaseTimers[phase]);
+            delete state.phaseTimers[phase];
+        }
+    }
+
+    function handlePhaseTimeout(phase) {
+        log('call phase timed out', phase);
+        const messageCode = `timeout.${phase}`;
+        sendToHost({
+            type: 'timeout',
+            phase,
+            clientId: state.currentClientId,
+            message: translate(messageCode),
+            messageCode,
+        });
+        endCall(messageCode);
+    }
+
+    function startCallTimer() {
+        if (state.callTickTimer) {
+            return;
+        }
+        state.callStartedAt = Date.now();
+        startPhaseTimer('max-duration', state.timeouts.maxDurationMs);
+        const tick = () => {
+            const elapsedMs = Date.now() - state.callStartedAt;
+            sendToHost({
+                type: 'call-timer',
+                elapsedMs,
+                remainingMs: state.timeouts.maxDurationMs ? Math.max(0, state.timeouts.maxDurationMs - elapsedMs) : null,
+            });
+        };
+        tick();
+        state.callTickTimer = setInterval(tick, state.timeouts.tickIntervalMs);
+    }
+
+    function clearCallTimers() {
+        Object.keys(state.phaseTimers).forEach(clearPhaseTimer);
+        if (state.callTickTimer) {
+            clearInterval(state.callTickTimer);
+            state.callTickTimer = null;
+        }
+        state.callStartedAt = null;
+    }
+
+    function applyStatsConfig(message) {
+        const source = message.stats && typeof message.stats === 'object' ? message.stats : {};
+        const interval = Number(source.intervalMs);
+        state.stats = {
+            enabled: source.enabled !== false,
+            intervalMs: Number.isFinite(interval) && interval >= 1000 ? interval : DEFAULT_STATS.intervalMs,
+        };
+    }
+
+    function startStatsPolling() {
+        if (!state.stats.enabled || state.statsTimer) {
+            return;
+        }
+        state.lastStatsSample = null;
+        state.callQuality = null;
+        state.statsTimer = setInterval(() => {
+            collectCallStats().catch((err) => log('collect stats failed', err));
+        }, state.stats.intervalMs);
+    }
+
+    function stopStatsPolling() {
+        if (state.statsTimer) {
+            clearInterval(state.statsTimer);
+            state.statsTimer = null;
+        }
+        state.lastStatsSample = null;
+        state.callQuality = null;
+    }
+
+    function applyAudioLevelConfig(message) {
+        const source = message.audioLevels && typeof message.audioLevels === 'object' ? message.audioLevels : {};
+        const readNumber = (value, fallback, min, max = Infinity) => {
+            const number = Number(value);
+            return Number.isFinite(number) && number >= min && number <= max ? number : fallback;
+        };
+        const speakingThreshold = readNumber(source.speakingThreshold, DEFAULT_AUDIO_LEVELS.speakingThreshold, 0, 1);
+        state.audioLevels = {
+            enabled: source.enabled !== false,
+            sampleIntervalMs: readNumber(source.sampleIntervalMs, DEFAULT_AUDIO_LEVELS.sampleIntervalMs, 20),
+            reportIntervalMs: readNumber(source.reportIntervalMs, DEFAULT_AUDIO_LEVELS.reportIntervalMs, 50),
+            speakingThreshold,
+            silenceThreshold: Math.min(readNumber(source.silenceThreshold, DEFAULT_AUDIO_LEVELS.silenceThreshold, 0, 1), speakingThreshold),
+            hangoverMs: readNumber(source.hangoverMs, DEFAULT_AUDIO_LEVELS.hangoverMs, 0),
+        };
+    }
+
+    function startAudioMetering() {
+        if (!state.audioLevels.enabled || state.audioMeterTimer || typeof AudioContext !== 'function') {
+            return;
+        }
+        try {
+            state.audioContext = state.audioContext || new AudioContext();
+        } catch (err) {
+            log('create audio context failed', err);
+            return;
+        }
+        if (state.audioContext.state === 'suspended') {
+            state.audioContext.resume().catch((err) => log('resume audio context failed', err));
+        }
+        state.lastAudioLevelReportAt = 0;
+        state.audioMeterTimer = setInterval(sampleAudioLevels, state.audioLevels.sampleIntervalMs);
+    }
+
+    function stopAudioMetering() {
+        if (state.audioMeterTimer) {
+            clearInterval(state.audioMeterTimer);
+            state.audioMeterTimer = null;
+        }
+        AUDIO_METER_SOURCES.forEach((source) => releaseAudioMeter(source));
+        if (state.audioContext) {
+            state.audioContext.close().catch((err) => log('close audio context failed', err));
+            state.audioContext = null;
+        }
+    }
+
+    function createAudioMeter(track) {
+        const analyser = state.audioContext.createAnalyser();
+        analyser.fftSize = 1024;
+        const node = state.audioContext.createMediaStreamSource(new MediaStream([track]));
+        node.connect(analyser);
+        return {
+            track,
+            node,
+            analyser,
+            samples: new Float32Array(analyser.fftSize),
+            level: 0,
+            speaking: false,
+            speakingSince: 0,
+            lastVoiceAt: 0,
+        };
+    }
+
+    function releaseAudioMeter(source) {
+        const meter = state.audioMeters[source];
+        if (!meter) {
+            return;
+        }
+        state.audioMeters[source] = null;
+        if (meter.speaking) {
+            sendToHost({ type: 'speaking-stop', source, durationMs: Date.now() - meter.speakingSince });
+        }
+        try {
+            meter.node.disconnect();
+        } catch (err) {
+            log('disconnect audio meter failed', err);
+        }
+    }
+
+    function currentAudioTrack(source) {
+        const stream = source === 'local' ? state.localStream : state.remoteStream;
+        return stream?.getAudioTracks().find((track) => track.readyState === 'live') || null;
+    }
+
+    function sampleAudioLevels() {
+        const config = state.audioLevels;
+        const now = Date.now();
+        AUDIO_METER_SOURCES.forEach((source) => {
+            const track = currentAudioTrack(source);
+            if (state.audioMeters[source]?.track !== track) {
+                releaseAudioMeter(source);
+                if (track) {
+                    try {
+                        state.audioMeters[source] = createAudioMeter(track);
+                    } catch (err) {
+                        log('create audio meter failed', source, err);
+                    }
+                }
+            }
+            const meter = state.audioMeters[source];
+            if (!meter) {
+                return;
+            }
+            meter.analyser.getFloatTimeDomainData(meter.samples);
+            let sum = 0;
+            for (let i = 0; i < meter.samples.length; i += 1) {
+                sum += meter.samples[i] * meter.samples[i];
+            }
+            meter.level = Math.sqrt(sum / meter.samples.length);
+            const voiced = meter.level >= (meter.speaking ? config.silenceThreshold : config.speakingThreshold);
+            if (voiced) {
+                meter.lastVoiceAt = now;
+                if (!meter.speaking) {
+                    meter.speaking = true;
+                    meter.speakingSince = now;
+                    sendToHost({ type: 'speaking-start', source });
+                }
+            } else if (meter.speaking && now - meter.lastVoiceAt >= config.hangoverMs) {
+                meter.speaking = false;
+                sendToHost({ type: 'speaking-stop', source, durationMs: now - meter.speakingSince });
+            }
+        });
+        if (now - state.lastAudioLevelReportAt >= config.reportIntervalMs) {
+            state.lastAudioLevelReportAt = now;
+            const levelOf = (source) => {
+                const meter = state.audioMeters[source];
+                return meter ? Math.round(meter.level * 1000) / 1000 : null;
+            };
+            sendToHost({
+                type: 'audio-level',
+                local: levelOf('local'),
+                remote: levelOf('remote'),
+                speaking: {
+                    local: !!state.audioMeters.local?.speaking,
+                    remote: !!state.audioMeters.remote?.speaking,
+                },
+            });
+        }
+    }
+
+    function computeBitrateKbps(bytes, previousBytes, elapsedMs) {
+        if (!Number.isFinite(bytes) || !Number.isFinite(previousBytes) || elapsedMs <= 0 || bytes < previousBytes) {
+            return null;
+        }
+        return Math.round(((bytes - previousBytes) * 8) / elapsedMs);
+    }
+
+    function computeLossDelta(lost, received, previous) {
+        if (!Number.isFinite(lost) || !Number.isFinite(received) || !previous) {
+            return null;
+        }
+        return {
+            lost: Math.max(0, lost - previous.packetsLost),
+            received: Math.max(0, received - previous.packetsReceived),
+        };
+    }
+
+    function computeLossPercent(delta) {
+        if (!delta) {
+            return null;
+        }
+        const total = delta.lost + delta.received;
+        return total > 0 ? Math.round((delta.lost / total) * 1000) / 10 : 0;
+    }
+
+    // 同类媒体可能有多路 RTP 流：码率累加，抖动取最差，画面参数取分辨率最高的一路。
+    function mergeRtpStats(current, next) {
+        if (!current) {
+            return next;
+        }
+        const area = (stats) => (stats.width || 0) * (stats.height || 0);
+        const bitrates = [current.bitrateKbps, next.bitrateKbps].filter(Number.isFinite);
+        const merged = {
+            ...(area(next) > area(current) ? next : current),
+            bitrateKbps: bitrates.length ? bitrates.reduce((sum, value) => sum + value, 0) : null,
+        };
+        if ('jitterMs' in current) {
+            const jitters = [current.jitterMs, next.jitterMs].filter(Number.isFinite);
+            merged.jitterMs = jitters.length ? Math.max(...jitters) : null;
+        }
+        return merged;
+    }
+
+    function deriveCallQuality(summary) {
+        const losses = [summary.audio.inbound?.lossPercent, summary.video.inbound?.lossPercent].filter(Number.isFinite);
+        const jitters = [summary.audio.inbound?.jitterMs, summary.video.inbound?.jitterMs].filter(Number.isFinite);
+        const loss = losses.length ? Math.max(...losses) : 0;
+        const jitter = jitters.length ? Math.max(...jitters) : 0;
+        const rtt = Number.isFinite(summary.rttMs) ? summary.rttMs : 0;
+        if (loss >= 8 || rtt >= 500 || jitter >= 100) {
+            return 'poor';
+        }
+        if (loss >= 2 || rtt >= 250 || jitter >= 40) {
+            return 'fair';
+        }
+        return 'good';
+    }
+
+    async function collectCallStats() {
+        const peer = state.peer;
+        if (!peer || state.callState !== 'active' || typeof peer.getStats !== 'function') {
+            return;
+        }
+        const report = await peer.getStats();
+        const now = Date.now();
+        const previous = state.lastStatsSample;
+        const elapsedMs = previous ? now - previous.timestamp : 0;
+        const sample = { timestamp: now, rtp: {} };
+        const summary = {
+            audio: { inbound: null, outbound: null },
+            video: { inbound: null, outbound: null },
+            rttMs: null,
+        };
+        const lossDeltas = { audio: null, video: null };
+        const codecName = (codecId) => {
+            const codec = codecId ? report.get(codecId) : null;
+            return codec?.mimeType ? codec.mimeType.replace(/^(audio|video)\//i, '') : null;
+        };
+
+        report.forEach((entry) => {
+            const kind = entry.kind || entry.mediaType;
+            if (entry.type === 'inbound-rtp' && (kind === 'audio' || kind === 'video')) {
+                const prev = previous?.rtp[entry.id];
+                sample.rtp[entry.id] = { bytes: entry.bytesReceived, packetsLost: entry.packetsLost, packetsReceived: entry.packetsReceived };
+                const delta = computeLossDelta(entry.packetsLost, entry.packetsReceived, prev);
+                if (delta) {
+                    const total = lossDeltas[kind];
+                    lossDeltas[kind] = total ? { lost: total.lost + delta.lost, received: total.received + delta.received } : delta;
+                }
+                summary[kind].inbound = mergeRtpStats(summary[kind].inbound, {
+                    bitrateKbps: computeBitrateKbps(entry.bytesReceived, prev?.bytes, elapsedMs),
+                    lossPercent: null,
+                    jitterMs: Number.isFinite(entry.jitter) ? Math.round(entry.jitter * 1000) : null,
+                    frameRate: entry.framesPerSecond ?? null,
+                    width: entry.frameWidth ?? null,
+                    height: entry.frameHeight ?? null,
+                    codec: codecName(entry.codecId),
+                });
+            } else if (entry.type === 'outbound-rtp' && (kind === 'audio' || kind === 'video')) {
+                const prev = previous?.rtp[entry.id];
+                sample.rtp[entry.id] = { bytes: entry.bytesSent };
+                summary[kind].outbound = mergeRtpStats(summary[kind].outbound, {
+                    bitrateKbps: computeBitrateKbps(entry.bytesSent, prev?.bytes, elapsedMs),
+                    frameRate: entry.framesPerSecond ?? null,
+                    width: entry.frameWidth ?? null,
+                    height: entry.frameHeight ?? null,
+                    codec: codecName(entry.codecId),
+                });
+            } else if (entry.type === 'candidate-pair' && entry.nominated && entry.state === 'succeeded') {
+                if (Number.isFinite(entry.currentRoundTripTime)) {
+                    summary.rttMs = Math.round(entry.currentRoundTripTime * 1000);
+                }
+            }
+        });
+
+        ['audio', 'video'].forEach((kind) => {
+            if (summary[kind].inbound) {
+                summary[kind].inbound.lossPercent = computeLossPercent(lossDeltas[kind]);
+            }
+        });
+
+        state.lastStatsSample = sample;
+        if (!previous) {
+            return;
+        }
+        const quality = deriveCallQuality(summary);
+        state.lastCallStats = { timestamp: now, quality, ...summary };
+        sendToHost({
+            type: 'call-stats',
+            clientId: state.currentClientId,
+            timestamp: now,
+            quality,
+            ...summary,
+        });
+        if (quality !== state.callQuality) {
+            sendToHost({ type: 'call-quality', quality, previous: state.callQuality });
+            state.callQuality = quality;
+        }
     }
 
     function resetRemoteStream() {
@@ -151,11 +1090,20 @@
     }
 
     function destroyPeerConnection(stopLocal = true) {
+        stopRecording('peer-closed');
+        clearCallTimers();
+        cancelAutoSnapshot();
+        clearRecoveryTimers();
+        stopStatsPolling();
+        stopAudioMetering();
+        closeDataChannel();
+        resetScreenShare();
         if (state.peer) {
             try {
                 state.peer.ontrack = null;
                 state.peer.onicecandidate = null;
                 state.peer.onconnectionstatechange = null;
+                state.peer.onnegotiationneeded = null;
                 state.peer.close();
             } catch (err) {
                 log('failed to close peer', err);
@@ -163,130 +1111,1355 @@
         }
         state.peer = null;
         state.pendingCandidates = [];
+        state.makingOffer = false;
+        state.ignoreOffer = false;
+        state.isSettingRemoteAnswerPending = false;
         resetRemoteStream();
+        resetRemoteMuteState();
         if (stopLocal) {
             stopLocalStream();
         }
     }
 
-    async function ensureLocalStream() {
-        if (state.localStream) {
-            return state.localStream;
+    function applyMediaConfig(message) {
+        const media = message.media && typeof message.media === 'object' ? message.media : {};
+        const video = media.video && typeof media.video === 'object' ? media.video : {};
+        const audio = media.audio && typeof media.audio === 'object' ? media.audio : {};
+        const videoConstraints = {};
+        if (Number(video.width) > 0) {
+            videoConstraints.width = { ideal: Number(video.width) };
         }
-        try {
-            const stream = await navigator.mediaDevices.getUserMedia({ video: true, audio: true });
-            state.localStream = stream;
-            if (localVideo) {
-                localVideo.srcObject = stream;
-            }
-            return stream;
-        } catch (err) {
-            const message = '无法获取本地音视频设备权限，请检查系统设置。';
-            emitClientError('media-error', message);
-            updateStatusBar(message);
-            throw err;
+        if (Number(video.height) > 0) {
+            videoConstraints.height = { ideal: Number(video.height) };
         }
-    }
-
-    function togglePause(paused) {
-        state.isPaused = paused;
-        if (!state.localStream) {
-            return;
+        if (Number(video.frameRate) > 0) {
+            videoConstraints.frameRate = { ideal: Number(video.frameRate), max: Number(video.frameRate) };
         }
-        state.localStream.getTracks().forEach((track) => {
-            track.enabled = !paused;
+        const audioConstraints = {};
+        ['echoCancellation', 'noiseSuppression', 'autoGainControl'].forEach((key) => {
+            if (typeof audio[key] === 'boolean') {
+                audioConstraints[key] = audio[key];
+            }
         });
+        state.mediaConstraints = { video: videoConstraints, audio: audioConstraints };
+
+        const codecs = message.codecs && typeof message.codecs === 'object' ? message.codecs : {};
+        state.codecPreferences = {
+            video: Array.isArray(codecs.video) ? codecs.video : [],
+            audio: Array.isArray(codecs.audio) ? codecs.audio : [],
+        };
+        state.bandwidth = normalizeBandwidth(message.bandwidth, {});
     }
 
-    function sendSignal(type, payload) {
-        if (!state.ws || state.ws.readyState !== WebSocket.OPEN) {
-            log('skip signal send, ws not ready', type);
-            return;
-        }
-        const message = { type, room: state.room };
-        if (payload !== undefined) {
-            message.payload = payload;
+    function normalizeBandwidth(source, fallback) {
+        const input = source && typeof source === 'object' ? source : {};
+        const readKbps = (value, current) => {
+            if (value === null) {
+                return null;
+            }
+            return Number(value) > 0 ? Number(value) : current ?? null;
+        };
+        const preference = ['maintain-framerate', 'maintain-resolution', 'balanced'].includes(input.degradationPreference)
+            ? input.degradationPreference
+            : fallback.degradationPreference ?? null;
+        return {
+            videoMaxBitrateKbps: readKbps(input.videoMaxBitrateKbps, fallback.videoMaxBitrateKbps),
+            audioMaxBitrateKbps: readKbps(input.audioMaxBitrateKbps, fallback.audioMaxBitrateKbps),
+            degradationPreference: preference,
+        };
+    }
+
+    function buildTrackConstraint(kind, deviceId) {
+        const constraint = { ...state.mediaConstraints[kind] };
+        if (deviceId) {
+            constraint.deviceId = { exact: deviceId };
         }
-        state.ws.send(JSON.stringify(message));
+        return Object.keys(constraint).length ? constraint : true;
     }
 
-    function attachPeerEventHandlers(peer) {
-        peer.onicecandidate = (evt) => {
-            if (evt.candidate) {
-                sendSignal('candidate', evt.candidate);
-            }
+    function buildMediaConstraints() {
+        return {
+            video: buildTrackConstraint('video', state.videoDeviceId),
+            audio: buildTrackConstraint('audio', state.audioDeviceId),
         };
+    }
 
-        peer.ontrack = (evt) => {
-            evt.streams.forEach((stream) => {
-                stream.getTracks().forEach((track) => state.remoteStream.addTrack(track));
-            });
-            if (remoteVideo && !remoteVideo.srcObject) {
-                remoteVideo.srcObject = state.remoteStream;
+    // 其余编解码器（含 rtx/red/ulpfec）保持原顺序追加。
+    function applyCodecPreferences(peer) {
+        if (typeof RTCRtpReceiver === 'undefined' || typeof RTCRtpReceiver.getCapabilities !== 'function') {
+            return;
+        }
+        peer.getTransceivers().forEach((transceiver) => {
+            const kind = transceiver.sender.track?.kind || transceiver.receiver.track?.kind;
+            const preferred = state.codecPreferences[kind] || [];
+            if (!preferred.length || typeof transceiver.setCodecPreferences !== 'function') {
+                return;
             }
-            tryPlayRemoteStream();
-            if (state.role === 'operator') {
-                setOperatorState('in-call');
-                setCallState('active');
-                updateStatusBar('通话已建立');
-             } else {
-                setClientStatus('坐席已接通');
-                setCallState('active');
+            const capabilities = RTCRtpReceiver.getCapabilities(kind);
+            if (!capabilities) {
+                return;
             }
-        };
+            const rank = (codec) => {
+                const name = codec.mimeType.split('/')[1]?.toLowerCase();
+                const index = preferred.findIndex((item) => String(item).toLowerCase() === name);
+                return index < 0 ? preferred.length : index;
+            };
+            const ordered = capabilities.codecs
+                .map((codec, index) => ({ codec, index }))
+                .sort((a, b) => rank(a.codec) - rank(b.codec) || a.index - b.index)
+                .map((item) => item.codec);
+            try {
+                transceiver.setCodecPreferences(ordered);
+            } catch (err) {
+                log('set codec preferences failed', kind, err);
+            }
+        });
+    }
 
-        peer.onconnectionstatechange = () => {
-            const status = peer.connectionState;
-            log('peer connection state', status);
-            if (status === 'failed' || status === 'disconnected') {
-                if (state.role === 'operator') {
-                    setOperatorState('ended', '连接已断开');
+    async function applySenderParameters() {
+        if (!state.peer) {
+            return;
+        }
+        const tasks = state.peer.getSenders().map(async (sender) => {
+            const kind = sender.track?.kind;
+            if (!kind || typeof sender.getParameters !== 'function') {
+                return;
+            }
+            const params = sender.getParameters();
+            if (!params.encodings || !params.encodings.length) {
+                params.encodings = [{}];
+            }
+            const maxKbps = kind === 'video' ? state.bandwidth.videoMaxBitrateKbps : state.bandwidth.audioMaxBitrateKbps;
+            params.encodings.forEach((encoding) => {
+                if (maxKbps) {
+                    encoding.maxBitrate = Math.round(maxKbps * 1000);
                 } else {
-                    emitClientEvent('ended', '连接已断开');
-                    setClientStatus('连接已断开');
+                    delete encoding.maxBitrate;
                 }
-                setCallState('ended');
+            });
+            if (kind === 'video' && state.bandwidth.degradationPreference) {
+                params.degradationPreference = state.bandwidth.degradationPreference;
             }
-        };
-    }
-
-    async function createPeerConnection() {
-        await ensureLocalStream();
-        const peer = new RTCPeerConnection({
-            iceServers: [
-                { urls: 'stun:stun.l.google.com:19302' },
-            ],
+            await sender.setParameters(params);
         });
-        state.localStream.getTracks().forEach((track) => peer.addTrack(track, state.localStream));
-        attachPeerEventHandlers(peer);
-        state.peer = peer;
-        return peer;
+        await Promise.all(tasks);
     }
 
-    async function beginClientNegotiation() {
+    async function handleSetBandwidth(message) {
+        state.bandwidth = normalizeBandwidth(message, state.bandwidth);
         try {
-            const peer = state.peer ?? await createPeerConnection();
-            const offer = await peer.createOffer();
-            await peer.setLocalDescription(offer);
-            sendSignal('offer', offer);
+            await applySenderParameters();
         } catch (err) {
-            log('failed to start for client', err);
-            emitClientError('offer-error', '创建本地 Offer 失败，请稍后重试。');
+            log('apply bandwidth failed', err);
+            throw commandFailure('bandwidth-error', 'error.bandwidth', true);
         }
+        return { ...state.bandwidth };
     }
 
-    async function handleOffer(offer) {
-        try {
-            const peer = state.peer ?? await createPeerConnection();
-            await peer.setRemoteDescription(new RTCSessionDescription(offer));
-            const answer = await peer.createAnswer();
-            await peer.setLocalDescription(answer);
-            flushPendingCandidates(peer);
-            sendSignal('answer', answer);
-        } catch (err) {
-            log('failed to handle offer', err);
-            emitClientError('answer-error', '处理远端 Offer 失败，请稍后重试。');
-        }
+    // 降级顺序：音视频 -> 仅音频 -> 仅接收。
+    async function ensureLocalStream() {
+        if (state.localStream) {
+            return state.localStream;
+        }
+        const constraints = buildMediaConstraints();
+        const attempts = [
+            { mode: 'audio-video', constraints },
+            { mode: 'audio-only', constraints: { audio: constraints.audio } },
+        ];
+        let stream = null;
+        let mode = 'receive-only';
+        for (const attempt of attempts) {
+            try {
+                stream = await navigator.mediaDevices.getUserMedia(attempt.constraints);
+                mode = attempt.mode;
+                break;
+            } catch (err) {
+                log('getUserMedia failed', attempt.mode, err);
+            }
+        }
+        state.localStream = stream || new MediaStream();
+        if (localVideo) {
+            localVideo.srcObject = state.localStream;
+        }
+        setMediaMode(mode);
+        return state.localStream;
+    }
+
+    function setMediaMode(mode) {
+        state.mediaMode = mode;
+        sendToHost({ type: 'media-mode', mode });
+        if (mode === 'audio-only') {
+            updateStatusBar('media.audio-only');
+        } else if (mode === 'receive-only') {
+            updateStatusBar('media.receive-only');
+        }
+    }
+
+    function handleRemoteMediaMode(payload) {
+        const mode = payload?.mode || 'audio-video';
+        state.remoteMediaMode = mode;
+        updateRemotePlaceholder();
+        sendToHost({ type: 'remote-media-mode', mode });
+    }
+
+    function updateRemotePlaceholder() {
+        if (!remotePlaceholder) {
+            return;
+        }
+        const noVideo = state.remoteMediaMode === 'audio-only' || state.remoteMediaMode === 'receive-only';
+        remotePlaceholder.classList.toggle('hidden', !noVideo);
+    }
+
+    async function listDevices() {
+        if (!navigator.mediaDevices || typeof navigator.mediaDevices.enumerateDevices !== 'function') {
+            return [];
+        }
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter((device) => device.kind === 'audioinput' || device.kind === 'videoinput' || device.kind === 'audiooutput')
+            .map((device) => ({
+                kind: device.kind,
+                deviceId: device.deviceId,
+                groupId: device.groupId,
+                label: device.label,
+            }));
+    }
+
+    async function reportDevices(reason) {
+        let devices;
+        try {
+            devices = await listDevices();
+        } catch (err) {
+            log('enumerate devices failed', err);
+            throw commandFailure('device-error', 'error.device-enumerate', true);
+        }
+        sendToHost({
+            type: 'devices',
+            reason,
+            devices,
+            selected: { audioDeviceId: state.audioDeviceId, videoDeviceId: state.videoDeviceId },
+        });
+        return { devices };
+    }
+
+    function findSender(kind) {
+        if (!state.peer) {
+            return null;
+        }
+        return state.peer.getSenders().find((sender) => sender.track?.kind === kind)
+            || state.peer.getTransceivers().find((transceiver) => transceiver.receiver.track?.kind === kind)?.sender
+            || null;
+    }
+
+    // 只收不发或没有收发器时会触发重新协商。
+    async function attachSendingTrack(kind, track) {
+        const peer = state.peer;
+        if (!peer) {
+            return;
+        }
+        const transceiver = peer.getTransceivers().find((item) => !item.stopped && item.receiver.track?.kind === kind);
+        if (!transceiver) {
+            peer.addTrack(track, state.localStream);
+            return;
+        }
+        await transceiver.sender.replaceTrack(track);
+        if (transceiver.direction === 'recvonly') {
+            transceiver.direction = 'sendrecv';
+        } else if (transceiver.direction === 'inactive') {
+            transceiver.direction = 'sendonly';
+        }
+    }
+
+    function refreshMediaMode() {
+        const hasAudio = state.localStream.getAudioTracks().length > 0;
+        const hasVideo = state.localStream.getVideoTracks().length > 0;
+        const mode = hasAudio && hasVideo ? 'audio-video' : (hasAudio ? 'audio-only' : state.mediaMode);
+        if (mode !== state.mediaMode) {
+            setMediaMode(mode);
+            sendPeerSignal('media-mode', { mode });
+        }
+    }
+
+    async function switchLocalTrack(kind, deviceId) {
+        if (!state.localStream) {
+            return;
+        }
+        const stream = await navigator.mediaDevices.getUserMedia({ [kind]: buildTrackConstraint(kind, deviceId) });
+        const [track] = kind === 'video' ? stream.getVideoTracks() : stream.getAudioTracks();
+        if (!track) {
+            return;
+        }
+        const previous = kind === 'video' ? state.localStream.getVideoTracks() : state.localStream.getAudioTracks();
+        // 加入本地流前先不发送，加入后按暂停和静音状态统一设置。
+        track.enabled = false;
+        // 共享屏幕期间只替换本地摄像头，结束共享时再切回。
+        const sharingScreen = kind === 'video' && !!state.screenStream;
+        if (!sharingScreen) {
+            try {
+                await attachSendingTrack(kind, track);
+            } catch (err) {
+                track.stop();
+                throw err;
+            }
+        }
+        previous.forEach((old) => {
+            state.localStream.removeTrack(old);
+            old.stop();
+        });
+        state.localStream.addTrack(track);
+        applyLocalTrackState();
+        if (localVideo && kind === 'video' && !sharingScreen) {
+            localVideo.srcObject = state.localStream;
+        }
+        if (!previous.length) {
+            refreshMediaMode();
+        }
+    }
+
+    async function handleSelectDevices(message) {
+        const changes = [];
+        if (message.audioDeviceId !== undefined && message.audioDeviceId !== state.audioDeviceId) {
+            changes.push(['audio', message.audioDeviceId || null]);
+        }
+        if (message.videoDeviceId !== undefined && message.videoDeviceId !== state.videoDeviceId) {
+            changes.push(['video', message.videoDeviceId || null]);
+        }
+        try {
+            for (const [kind, deviceId] of changes) {
+                await switchLocalTrack(kind, deviceId);
+                if (kind === 'audio') {
+                    state.audioDeviceId = deviceId;
+                } else {
+                    state.videoDeviceId = deviceId;
+                }
+            }
+            sendToHost({ type: 'devices-selected', audioDeviceId: state.audioDeviceId, videoDeviceId: state.videoDeviceId });
+        } catch (err) {
+            log('switch device failed', err);
+            throw commandFailure('device-error', 'error.device-switch', true);
+        }
+    }
+
+    function handleDeviceChange() {
+        reportDevices('devicechange').catch((err) => log('report devices error', err));
+    }
+
+    function applyLocalTrackState() {
+        if (!state.localStream) {
+            return;
+        }
+        state.localStream.getAudioTracks().forEach((track) => {
+            track.enabled = !(state.isPaused || state.audioMuted);
+        });
+        state.localStream.getVideoTracks().forEach((track) => {
+            track.enabled = !(state.isPaused || state.videoMuted);
+        });
+        state.screenStream?.getVideoTracks().forEach((track) => {
+            track.enabled = !(state.isPaused || state.videoMuted);
+        });
+    }
+
+    function sendMuteState() {
+        sendPeerSignal('mute-state', {
+            audio: state.isPaused || state.audioMuted,
+            video: state.isPaused || state.videoMuted,
+        });
+    }
+
+    function reportLocalMuteState() {
+        sendToHost({
+            type: 'mute-state',
+            paused: state.isPaused,
+            audio: state.audioMuted,
+            video: state.videoMuted,
+        });
+        sendMuteState();
+    }
+
+    function togglePause(paused) {
+        state.isPaused = paused;
+        applyLocalTrackState();
+        reportLocalMuteState();
+    }
+
+    function setLocalMute(kind, muted) {
+        if (kind === 'audio') {
+            state.audioMuted = muted;
+        } else {
+            state.videoMuted = muted;
+        }
+        applyLocalTrackState();
+        reportLocalMuteState();
+    }
+
+    async function startScreenShare() {
+        if (state.screenStream) {
+            return;
+        }
+        if (state.role !== 'operator') {
+            throw commandFailure('invalid-role', 'error.screen-share-not-operator');
+        }
+        if (!state.peer || state.callState !== 'active') {
+            throw commandFailure('screen-share-error', 'error.screen-share-no-call', true);
+        }
+        if (!navigator.mediaDevices || typeof navigator.mediaDevices.getDisplayMedia !== 'function') {
+            throw commandFailure('screen-share-error', 'error.screen-share-unsupported', true);
+        }
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+        } catch (err) {
+            log('getDisplayMedia failed', err);
+            throw commandFailure('screen-share-error', 'error.screen-share-capture', true);
+        }
+        const [track] = stream.getVideoTracks();
+        if (!track || !state.peer) {
+            stream.getTracks().forEach((item) => item.stop());
+            throw commandFailure('screen-share-error', 'error.screen-share-start', true);
+        }
+        track.enabled = !(state.isPaused || state.videoMuted);
+        try {
+            await attachSendingTrack('video', track);
+        } catch (err) {
+            log('replace screen track failed', err);
+            stream.getTracks().forEach((item) => item.stop());
+            throw commandFailure('screen-share-error', 'error.screen-share-start', true);
+        }
+        // 浏览器自带的“停止共享”按钮。
+        track.onended = () => {
+            stopScreenShare().catch((err) => log('stopScreenShare error', err));
+        };
+        state.screenStream = stream;
+        if (localVideo) {
+            localVideo.srcObject = stream;
+        }
+        notifyScreenShare(true);
+    }
+
+    async function stopScreenShare() {
+        const stream = state.screenStream;
+        if (!stream) {
+            return;
+        }
+        state.screenStream = null;
+        stream.getTracks().forEach((track) => {
+            track.onended = null;
+            track.stop();
+        });
+        const cameraTrack = state.localStream?.getVideoTracks()[0] || null;
+        const sender = findSender('video');
+        if (sender) {
+            try {
+                await sender.replaceTrack(cameraTrack);
+            } catch (err) {
+                log('restore camera track failed', err);
+            }
+        }
+        if (localVideo) {
+            localVideo.srcObject = state.localStream;
+        }
+        notifyScreenShare(false);
+    }
+
+    function notifyScreenShare(active) {
+        sendToHost({ type: 'screen-share', source: 'local', active });
+        sendPeerSignal('screen-share', { active });
+    }
+
+    function handleRemoteScreenShare(payload) {
+        const active = !!payload?.active;
+        if (active === state.remoteScreenSharing) {
+            return;
+        }
+        state.remoteScreenSharing = active;
+        document.body.classList.toggle('remote-screen-share', active);
+        sendToHost({ type: 'screen-share', source: 'remote', active });
+    }
+
+    function resetScreenShare() {
+        if (state.screenStream) {
+            state.screenStream.getTracks().forEach((track) => {
+                track.onended = null;
+                track.stop();
+            });
+            state.screenStream = null;
+        }
+        state.remoteScreenSharing = false;
+        document.body.classList.remove('remote-screen-share');
+    }
+
+    function pickRecordingMimeType(preferred) {
+        if (typeof MediaRecorder === 'undefined') {
+            return null;
+        }
+        const candidates = preferred ? [preferred, ...RECORDING_MIME_TYPES] : RECORDING_MIME_TYPES;
+        return candidates.find((type) => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    function createPictureInPictureTrack(recording) {
+        const width = remoteVideo?.videoWidth || 1280;
+        const height = remoteVideo?.videoHeight || 720;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        recording.drawTimer = setInterval(() => {
+            context.fillStyle = '#000';
+            context.fillRect(0, 0, width, height);
+            if (remoteVideo && remoteVideo.readyState >= 2) {
+                context.drawImage(remoteVideo, 0, 0, width, height);
+            }
+            if (localVideo && localVideo.readyState >= 2) {
+                const pipWidth = Math.round(width / 4);
+                const pipHeight = Math.round((pipWidth * (localVideo.videoHeight || 9)) / (localVideo.videoWidth || 16));
+                context.drawImage(localVideo, width - pipWidth - 16, height - pipHeight - 16, pipWidth, pipHeight);
+            }
+        }, Math.round(1000 / RECORDING_PIP_FPS));
+        return canvas.captureStream(RECORDING_PIP_FPS).getVideoTracks()[0] || null;
+    }
+
+    function createMixedAudioTrack(recording) {
+        const AudioContextType = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextType) {
+            return null;
+        }
+        const context = new AudioContextType();
+        const destination = context.createMediaStreamDestination();
+        [state.remoteStream, state.localStream].forEach((stream) => {
+            if (stream && stream.getAudioTracks().length) {
+                context.createMediaStreamSource(new MediaStream(stream.getAudioTracks())).connect(destination);
+            }
+        });
+        recording.audioContext = context;
+        return destination.stream.getAudioTracks()[0] || null;
+    }
+
+    function blobToBase64(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => {
+                const result = String(reader.result || '');
+                resolve(result.slice(result.indexOf(',') + 1));
+            };
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    function updateRecordingIndicator(active) {
+        if (recordingIndicator) {
+            recordingIndicator.classList.toggle('hidden', !active);
+        }
+    }
+
+    function startRecording(options = {}) {
+        if (state.recording) {
+            throw commandFailure('recording-error', 'error.recording-active', true);
+        }
+        if (!state.peer || state.callState !== 'active') {
+            throw commandFailure('recording-error', 'error.recording-no-call', true);
+        }
+        const mimeType = pickRecordingMimeType(options.mimeType);
+        if (mimeType === null) {
+            throw commandFailure('recording-error', 'error.recording-unsupported', true);
+        }
+        const recording = {
+            id: options.recordingId || createMessageId(),
+            sequence: 0,
+            startedAt: Date.now(),
+            audioContext: null,
+            drawTimer: null,
+            // 用 Promise 链保证分片按序发出，recording-complete 在最后。
+            queue: Promise.resolve(),
+            recorder: null,
+            reason: null,
+        };
+        try {
+            const tracks = [];
+            const videoTrack = options.pictureInPicture
+                ? createPictureInPictureTrack(recording)
+                : state.remoteStream.getVideoTracks()[0];
+            const audioTrack = createMixedAudioTrack(recording);
+            if (videoTrack) {
+                tracks.push(videoTrack);
+            }
+            if (audioTrack) {
+                tracks.push(audioTrack);
+            }
+            const recorder = new MediaRecorder(new MediaStream(tracks), mimeType ? { mimeType } : undefined);
+            recording.recorder = recorder;
+            recorder.ondataavailable = (evt) => {
+                if (!evt.data || !evt.data.size) {
+                    return;
+                }
+                const sequence = recording.sequence++;
+                recording.queue = recording.queue
+                    .then(() => blobToBase64(evt.data))
+                    .then((data) => sendToHost({
+                        type: 'recording-chunk',
+                        recordingId: recording.id,
+                        sequence,
+                        mimeType: recorder.mimeType,
+                        data,
+                    }))
+                    .catch((err) => log('recording chunk failed', err));
+            };
+            recorder.onstop = () => {
+                releaseRecordingResources(recording);
+                recording.queue = recording.queue.then(() => sendToHost({
+                    type: 'recording-complete',
+                    recordingId: recording.id,
+                    chunks: recording.sequence,
+                    durationMs: Date.now() - recording.startedAt,
+                    mimeType: recorder.mimeType,
+                    reason: recording.reason,
+                }));
+            };
+            recorder.start(Number(options.timesliceMs) > 0 ? Number(options.timesliceMs) : RECORDING_TIMESLICE_MS);
+        } catch (err) {
+            log('start recording failed', err);
+            releaseRecordingResources(recording);
+            throw commandFailure('recording-error', 'error.recording-start', true);
+        }
+        state.recording = recording;
+        updateRecordingIndicator(true);
+        sendToHost({ type: 'recording-started', recordingId: recording.id, mimeType: recording.recorder.mimeType });
+        return { recordingId: recording.id };
+    }
+
+    function releaseRecordingResources(recording) {
+        if (recording.drawTimer) {
+            clearInterval(recording.drawTimer);
+            recording.drawTimer = null;
+        }
+        if (recording.audioContext) {
+            recording.audioContext.close().catch((err) => log('close recording audio context failed', err));
+            recording.audioContext = null;
+        }
+    }
+
+    function stopRecording(reason = 'request') {
+        const recording = state.recording;
+        if (!recording) {
+            return;
+        }
+        state.recording = null;
+        recording.reason = reason;
+        updateRecordingIndicator(false);
+        try {
+            if (recording.recorder.state !== 'inactive') {
+                recording.recorder.stop();
+            }
+        } catch (err) {
+            log('stop recording failed', err);
+            releaseRecordingResources(recording);
+        }
+    }
+
+    // source 为 remote/local，format 为 jpeg/png，quality 仅对 jpeg 生效。
+    function captureSnapshot(options = {}) {
+        const source = options.source === 'local' ? 'local' : 'remote';
+        const video = source === 'local' ? localVideo : remoteVideo;
+        if (!video || video.readyState < 2 || !video.videoWidth || !video.videoHeight) {
+            throw commandFailure('snapshot-error', source === 'local' ? 'error.snapshot-local-not-ready' : 'error.snapshot-remote-not-ready');
+        }
+        const mimeType = options.format === 'png' ? 'image/png' : 'image/jpeg';
+        const quality = Number(options.quality);
+        const canvas = document.createElement('canvas');
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+        const dataUrl = canvas.toDataURL(mimeType, quality > 0 && quality <= 1 ? quality : 0.92);
+        const snapshot = {
+            source,
+            mimeType,
+            width: canvas.width,
+            height: canvas.height,
+            timestamp: Date.now(),
+            callId: state.callId,
+            clientId: state.currentClientId,
+            auto: !!options.auto,
+        };
+        sendToHost({ type: 'snapshot', ...snapshot, data: dataUrl.slice(dataUrl.indexOf(',') + 1) });
+        return snapshot;
+    }
+
+    function applyAutoSnapshotConfig(message) {
+        const source = message.autoSnapshot;
+        if (!source) {
+            state.autoSnapshot = null;
+            return;
+        }
+        const options = typeof source === 'object' ? source : {};
+        state.autoSnapshot = {
+            source: options.source,
+            format: options.format,
+            quality: options.quality,
+            delayMs: Number(options.delayMs) >= 0 ? Number(options.delayMs) : 1500,
+        };
+    }
+
+    function scheduleAutoSnapshot() {
+        cancelAutoSnapshot();
+        if (!state.autoSnapshot || state.autoSnapshotCallId === state.callId) {
+            return;
+        }
+        state.autoSnapshotTimer = setTimeout(() => {
+            state.autoSnapshotTimer = null;
+            if (state.callState !== 'active') {
+                return;
+            }
+            state.autoSnapshotCallId = state.callId;
+            try {
+                captureSnapshot({ ...state.autoSnapshot, auto: true });
+            } catch (err) {
+                log('auto snapshot failed', err);
+            }
+        }, state.autoSnapshot.delayMs);
+    }
+
+    function cancelAutoSnapshot() {
+        if (state.autoSnapshotTimer) {
+            clearTimeout(state.autoSnapshotTimer);
+            state.autoSnapshotTimer = null;
+        }
+    }
+
+    function updateRemoteMuteOverlay() {
+        if (remoteVideoOffLabel) {
+            remoteVideoOffLabel.classList.toggle('hidden', !state.remoteVideoMuted);
+        }
+        if (remoteAudioOffLabel) {
+            remoteAudioOffLabel.classList.toggle('hidden', !state.remoteAudioMuted);
+        }
+        if (remoteMuteOverlay) {
+            remoteMuteOverlay.classList.toggle('hidden', !state.remoteVideoMuted && !state.remoteAudioMuted);
+        }
+    }
+
+    function handleRemoteMuteState(payload) {
+        const audio = !!payload?.audio;
+        const video = !!payload?.video;
+        if (audio === state.remoteAudioMuted && video === state.remoteVideoMuted) {
+            return;
+        }
+        state.remoteAudioMuted = audio;
+        state.remoteVideoMuted = video;
+        updateRemoteMuteOverlay();
+        sendToHost({ type: 'remote-mute-state', audio, video });
+    }
+
+    function resetRemoteMuteState() {
+        state.remoteAudioMuted = false;
+        state.remoteVideoMuted = false;
+        state.remoteMediaMode = null;
+        updateRemoteMuteOverlay();
+        updateRemotePlaceholder();
+    }
+
+    function sendSignal(type, payload) {
+        if (!state.ws || state.ws.readyState !== WebSocket.OPEN) {
+            log('skip signal send, ws not ready', type);
+            return;
+        }
+        const message = { type, room: state.room };
+        if (payload !== undefined) {
+            message.payload = payload;
+        }
+        const raw = JSON.stringify(message);
+        if (type !== 'ping' && type !== 'pong') {
+            recordDiagnostic('signal-out', type, redactSignal(JSON.parse(raw)));
+        }
+        state.ws.send(raw);
+    }
+
+    function sendPeerSignal(type, payload = {}) {
+        if (state.role === 'operator') {
+            if (!state.currentClientId) {
+                return false;
+            }
+            sendSignal(type, { ...payload, clientId: state.currentClientId });
+        } else {
+            sendSignal(type, payload);
+        }
+        return true;
+    }
+
+    function attachPeerEventHandlers(peer) {
+        peer.onnegotiationneeded = () => {
+            negotiate(peer);
+        };
+
+        peer.onicecandidate = (evt) => {
+            if (evt.candidate) {
+                sendSignal('candidate', evt.candidate);
+            }
+        };
+
+        peer.ontrack = (evt) => {
+            evt.streams.forEach((stream) => {
+                stream.getTracks().forEach((track) => state.remoteStream.addTrack(track));
+            });
+            if (remoteVideo && !remoteVideo.srcObject) {
+                remoteVideo.srcObject = state.remoteStream;
+            }
+            tryPlayRemoteStream();
+            markCallEstablished();
+        };
+
+        peer.onconnectionstatechange = () => {
+            const status = peer.connectionState;
+            log('peer connection state', status);
+            if (status === 'connected') {
+                if (state.callState === 'reconnecting') {
+                    finishRecovery();
+                }
+                markCallEstablished();
+                reportSelectedCandidatePair(peer);
+            } else if (status === 'disconnected') {
+                beginRecovery();
+                if (!state.disconnectGraceTimer) {
+                    state.disconnectGraceTimer = setTimeout(() => {
+                        state.disconnectGraceTimer = null;
+                        if (state.peer === peer && peer.connectionState !== 'connected') {
+                            restartIce(peer);
+                        }
+                    }, state.iceRecovery.disconnectGraceMs);
+                }
+            } else if (status === 'failed') {
+                if (state.callState === 'connecting') {
+                    endCall('call.connect-failed', true);
+                    return;
+                }
+                beginRecovery();
+                restartIce(peer);
+            }
+        };
+    }
+
+    function markCallEstablished() {
+        if (state.callState !== 'connecting') {
+            return;
+        }
+        if (state.role === 'operator') {
+            setOperatorState('in-call');
+            setCallState('active');
+            updateStatusBar('call.established');
+        } else {
+            setClientStatus('call.operator-connected');
+            setCallState('active');
+        }
+    }
+
+    function applyIceRecoveryConfig(message) {
+        const source = message.iceRecovery && typeof message.iceRecovery === 'object' ? message.iceRecovery : {};
+        const readNumber = (value, fallback) => (Number.isFinite(Number(value)) && Number(value) >= 0 ? Number(value) : fallback);
+        state.iceRecovery = {
+            disconnectGraceMs: readNumber(source.disconnectGraceMs, DEFAULT_ICE_RECOVERY.disconnectGraceMs),
+            recoveryTimeoutMs: readNumber(source.recoveryTimeoutMs, DEFAULT_ICE_RECOVERY.recoveryTimeoutMs),
+        };
+    }
+
+    function clearRecoveryTimers() {
+        if (state.disconnectGraceTimer) {
+            clearTimeout(state.disconnectGraceTimer);
+            state.disconnectGraceTimer = null;
+        }
+        if (state.recoveryTimer) {
+            clearTimeout(state.recoveryTimer);
+            state.recoveryTimer = null;
+        }
+    }
+
+    function beginRecovery() {
+        if (state.callState !== 'active') {
+            return;
+        }
+        setCallState('reconnecting');
+        if (state.role === 'operator') {
+            updateStatusBar('call.recovering');
+        } else {
+            setClientStatus('call.recovering');
+        }
+        // 与阶段超时一致，0 表示不限时。
+        if (!state.iceRecovery.recoveryTimeoutMs) {
+            return;
+        }
+        state.recoveryTimer = setTimeout(() => {
+            state.recoveryTimer = null;
+            log('ice recovery timed out');
+            endCall('call.disconnected');
+        }, state.iceRecovery.recoveryTimeoutMs);
+    }
+
+    function finishRecovery() {
+        clearRecoveryTimers();
+        setCallState('active');
+        if (state.role === 'operator') {
+            setOperatorState('in-call', 'call.recovered');
+        } else {
+            setClientStatus('call.recovered');
+        }
+    }
+
+    // 两端同时重启 ICE 造成的 Offer 冲突由完美协商处理。
+    function restartIce(peer) {
+        if (!peer || state.peer !== peer) {
+            return;
+        }
+        log('restarting ice');
+        peer.restartIce();
+    }
+
+    function parseExpiry(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        const time = typeof value === 'number' ? value : Date.parse(value);
+        return Number.isFinite(time) ? time : null;
+    }
+
+    // 过期的临时 TURN 凭证直接丢弃。
+    function normalizeIceServers(list) {
+        if (!Array.isArray(list)) {
+            return null;
+        }
+        const now = Date.now();
+        const servers = [];
+        list.forEach((entry) => {
+            if (!entry) {
+                return;
+            }
+            const source = typeof entry === 'string' ? { urls: entry } : entry;
+            const urls = source.urls || source.url;
+            if (!urls || (Array.isArray(urls) && !urls.length)) {
+                return;
+            }
+            const expiresAt = parseExpiry(source.expiresAt ?? source.credentialExpiresAt);
+            if (expiresAt !== null && expiresAt <= now) {
+                log('drop expired ice server', urls);
+                sendToHost({ type: 'ice-warning', code: 'credential-expired', urls });
+                return;
+            }
+            const server = { urls };
+            if (source.username) {
+                server.username = source.username;
+            }
+            if (source.credential) {
+                server.credential = source.credential;
+            }
+            servers.push(server);
+        });
+        return servers;
+    }
+
+    function applyIceConfig(message) {
+        const servers = normalizeIceServers(message.iceServers);
+        state.iceServers = servers?.length ? servers : DEFAULT_ICE_SERVERS;
+        state.iceTransportPolicy = message.iceTransportPolicy === 'relay' ? 'relay' : 'all';
+        if (state.iceTransportPolicy === 'relay' && !state.iceServers.some((server) => [].concat(server.urls).some((url) => /^turns?:/i.test(url)))) {
+            emitClientError('config-error', 'error.relay-without-turn');
+        }
+    }
+
+    async function reportSelectedCandidatePair(peer) {
+        if (!peer || typeof peer.getStats !== 'function') {
+            return;
+        }
+        try {
+            const stats = await peer.getStats();
+            let pair = null;
+            stats.forEach((report) => {
+                if (report.type === 'transport' && report.selectedCandidatePairId) {
+                    pair = stats.get(report.selectedCandidatePairId) || pair;
+                }
+            });
+            if (!pair) {
+                stats.forEach((report) => {
+                    if (!pair && report.type === 'candidate-pair' && report.nominated && report.state === 'succeeded') {
+                        pair = report;
+                    }
+                });
+            }
+            if (!pair) {
+                return;
+            }
+            const local = stats.get(pair.localCandidateId);
+            const remote = stats.get(pair.remoteCandidateId);
+            sendToHost({
+                type: 'ice-candidate-pair',
+                local: local ? { candidateType: local.candidateType, protocol: local.protocol, relayProtocol: local.relayProtocol || null } : null,
+                remote: remote ? { candidateType: remote.candidateType, protocol: remote.protocol } : null,
+                relayed: local?.candidateType === 'relay' || remote?.candidateType === 'relay',
+            });
+        } catch (err) {
+            log('failed to read candidate pair', err);
+        }
+    }
+
+    // 采集设备期间对端 Offer 可能已到达，两处共用同一次创建。
+    function getPeerConnection() {
+        if (state.peer) {
+            return Promise.resolve(state.peer);
+        }
+        if (!state.peerCreating) {
+            state.peerCreating = createPeerConnection().finally(() => {
+                state.peerCreating = null;
+            });
+        }
+        return state.peerCreating;
+    }
+
+    async function createPeerConnection() {
+        await ensureLocalStream();
+        const peer = new RTCPeerConnection({
+            iceServers: state.iceServers,
+            iceTransportPolicy: state.iceTransportPolicy,
+        });
+        state.localStream.getTracks().forEach((track) => peer.addTrack(track, state.localStream));
+        // 只有 Offer 方需要补 recvonly 收发器。
+        if (state.role !== 'operator') {
+            if (!state.localStream.getAudioTracks().length) {
+                peer.addTransceiver('audio', { direction: 'recvonly' });
+            }
+            if (!state.localStream.getVideoTracks().length) {
+                peer.addTransceiver('video', { direction: 'recvonly' });
+            }
+        }
+        applyCodecPreferences(peer);
+        attachPeerEventHandlers(peer);
+        openDataChannel(peer);
+        state.peer = peer;
+        if (state.mediaMode) {
+            sendPeerSignal('media-mode', { mode: state.mediaMode });
+        }
+        return peer;
+    }
+
+    function createMessageId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    // 两端用预协商的固定 id 创建同一条通道。
+    function openDataChannel(peer) {
+        try {
+            const channel = peer.createDataChannel('call', { negotiated: true, id: DATA_CHANNEL_ID, ordered: true });
+            channel.onopen = () => log('data channel open');
+            channel.onclose = () => {
+                log('data channel closed');
+                failPendingChats();
+                failPendingRemoteCommands();
+            };
+            channel.onmessage = (evt) => handleDataChannelMessage(evt.data);
+            state.dataChannel = channel;
+        } catch (err) {
+            log('create data channel failed', err);
+            state.dataChannel = null;
+        }
+    }
+
+    function closeDataChannel() {
+        if (!state.dataChannel) {
+            return;
+        }
+        const channel = state.dataChannel;
+        state.dataChannel = null;
+        channel.onopen = null;
+        channel.onclose = null;
+        channel.onmessage = null;
+        try {
+            channel.close();
+        } catch (err) {
+            log('failed to close data channel', err);
+        }
+        failPendingChats();
+        failPendingRemoteCommands();
+    }
+
+    function sendDataChannelMessage(message) {
+        const channel = state.dataChannel;
+        if (!channel || channel.readyState !== 'open') {
+            return false;
+        }
+        try {
+            channel.send(JSON.stringify(message));
+            return true;
+        } catch (err) {
+            log('data channel send failed', err);
+            return false;
+        }
+    }
+
+    function handleDataChannelMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (err) {
+            log('invalid data channel message', raw);
+            return;
+        }
+        switch (message?.kind) {
+            case 'chat': {
+                sendDataChannelMessage({ kind: 'chat-ack', id: message.id });
+                sendToHost({
+                    type: 'chat-received',
+                    id: message.id,
+                    text: message.text,
+                    timestamp: message.timestamp,
+                    from: state.role === 'operator' ? 'client' : 'operator',
+                });
+                showCaption(message.text);
+                break;
+            }
+            case 'chat-ack': {
+                const sentAt = state.pendingChatAcks.get(message.id);
+                if (sentAt === undefined) {
+                    break;
+                }
+                state.pendingChatAcks.delete(message.id);
+                sendToHost({ type: 'chat-delivered', id: message.id, timestamp: sentAt, deliveredAt: Date.now() });
+                break;
+            }
+            case 'remote-command': {
+                handleRemoteCommand(message);
+                break;
+            }
+            case 'remote-command-result': {
+                if (!settleRemoteCommand(message.id, message)) {
+                    log('unexpected remote command result', message.id);
+                }
+                break;
+            }
+            default: {
+                log('unhandled data channel message', message);
+                break;
+            }
+        }
+    }
+
+    function failPendingChats() {
+        state.pendingChatAcks.forEach((_, id) => {
+            sendToHost({ type: 'chat-failed', id, reason: 'channel-closed' });
+        });
+        state.pendingChatAcks.clear();
+    }
+
+    function handleChatSend(message) {
+        const text = typeof message.text === 'string' ? message.text.trim() : '';
+        const id = message.id || createMessageId();
+        if (!text) {
+            sendToHost({ type: 'chat-failed', id, reason: 'empty' });
+            throw commandFailure('invalid-argument', 'error.chat-empty');
+        }
+        const timestamp = Date.now();
+        if (!sendDataChannelMessage({ kind: 'chat', id, text, timestamp })) {
+            sendToHost({ type: 'chat-failed', id, reason: 'channel-not-open' });
+            throw commandFailure('channel-not-open', 'error.chat-channel-closed');
+        }
+        state.pendingChatAcks.set(id, timestamp);
+        sendToHost({ type: 'chat-sent', id, timestamp });
+        return { id, timestamp };
+    }
+
+    function applyRemoteCommandConfig(message) {
+        const source = message.remoteCommands && typeof message.remoteCommands === 'object' ? message.remoteCommands : {};
+        const allow = Array.isArray(source.allow)
+            ? source.allow.filter((name) => typeof name === 'string' && name.trim()).map((name) => name.trim())
+            : DEFAULT_REMOTE_COMMANDS.allow;
+        const timeoutMs = Number(source.timeoutMs);
+        state.remoteCommands = {
+            allow,
+            timeoutMs: Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : DEFAULT_REMOTE_COMMANDS.timeoutMs,
+        };
+    }
+
+    function handleRemoteCommandSend(message) {
+        if (state.role !== 'operator') {
+            throw commandFailure('not-operator', 'error.remote-command-not-operator');
+        }
+        const name = typeof message.name === 'string' ? message.name.trim() : '';
+        if (!name) {
+            throw commandFailure('invalid-argument', 'error.remote-command-name');
+        }
+        if (state.callState !== 'active') {
+            throw commandFailure('no-active-call', 'error.remote-command-no-call');
+        }
+        const id = message.id || createMessageId();
+        if (state.pendingRemoteCommands.has(id)) {
+            throw commandFailure('duplicate-id', 'error.remote-command-duplicate', false, { id });
+        }
+        const args = message.args === undefined ? null : message.args;
+        if (!sendDataChannelMessage({ kind: 'remote-command', id, name, args })) {
+            throw commandFailure('channel-not-open', 'error.remote-command-channel');
+        }
+        const timeoutMs = Number(message.timeoutMs) > 0 ? Number(message.timeoutMs) : state.remoteCommands.timeoutMs;
+        const timer = setTimeout(() => settleRemoteCommand(id, { success: false, code: 'timeout' }), timeoutMs);
+        state.pendingRemoteCommands.set(id, { name, sentAt: Date.now(), timer });
+        recordDiagnostic('remote-command', 'sent', { id, name });
+        return { id, name };
+    }
+
+    function settleRemoteCommand(id, outcome) {
+        const pending = state.pendingRemoteCommands.get(id);
+        if (!pending) {
+            return false;
+        }
+        clearTimeout(pending.timer);
+        state.pendingRemoteCommands.delete(id);
+        const success = outcome.success === true;
+        const code = success ? null : outcome.code || 'failed';
+        recordDiagnostic('remote-command', 'settled', { id, name: pending.name, success, code });
+        sendToHost({
+            type: 'remote-command-result',
+            id,
+            name: pending.name,
+            success,
+            code,
+            result: outcome.result ?? null,
+            error: outcome.error ?? null,
+            durationMs: Date.now() - pending.sentAt,
+        });
+        return true;
+    }
+
+    function failPendingRemoteCommands() {
+        Array.from(state.pendingRemoteCommands.keys()).forEach((id) => {
+            settleRemoteCommand(id, { success: false, code: 'channel-closed' });
+        });
+        state.receivedRemoteCommands.clear();
+    }
+
+    function handleRemoteCommand(message) {
+        if (message.id === undefined || message.id === null || message.id === '') {
+            log('remote command without id', message.name);
+            return;
+        }
+        const name = typeof message.name === 'string' ? message.name : '';
+        if (state.role === 'operator' || !state.remoteCommands.allow.includes(name)) {
+            log('remote command not allowed', name);
+            recordDiagnostic('remote-command', 'rejected', { id: message.id, name });
+            sendDataChannelMessage({ kind: 'remote-command-result', id: message.id, success: false, code: 'not-allowed' });
+            return;
+        }
+        state.receivedRemoteCommands.set(message.id, name);
+        recordDiagnostic('remote-command', 'received', { id: message.id, name });
+        sendToHost({ type: 'remote-command-received', id: message.id, name, args: message.args ?? null });
+    }
+
+    function handleRemoteCommandResult(message) {
+        const name = state.receivedRemoteCommands.get(message.id);
+        if (name === undefined) {
+            throw commandFailure('unknown-remote-command', 'error.remote-command-unknown', false, { id: message.id });
+        }
+        state.receivedRemoteCommands.delete(message.id);
+        const success = message.success !== false;
+        const sent = sendDataChannelMessage({
+            kind: 'remote-command-result',
+            id: message.id,
+            success,
+            code: success ? null : message.code || 'failed',
+            result: message.result ?? null,
+            error: message.error ?? null,
+        });
+        if (!sent) {
+            throw commandFailure('channel-not-open', 'error.remote-command-channel');
+        }
+        return { id: message.id, name };
+    }
+
+    function showCaption(text) {
+        if (!captionOverlay || !state.captionsEnabled || !text) {
+            return;
+        }
+        const line = document.createElement('div');
+        line.className = 'caption-line';
+        line.textContent = text;
+        captionOverlay.appendChild(line);
+        while (captionOverlay.childElementCount > CAPTION_MAX_LINES) {
+            captionOverlay.removeChild(captionOverlay.firstElementChild);
+        }
+        captionOverlay.classList.remove('hidden');
+        setTimeout(() => {
+            line.remove();
+            if (!captionOverlay.childElementCount) {
+                captionOverlay.classList.add('hidden');
+            }
+        }, CAPTION_DISPLAY_MS);
+    }
+
+    async function beginClientNegotiation() {
+        try {
+            if (state.peer) {
+                await negotiate(state.peer);
+                return;
+            }
+            await getPeerConnection();
+        } catch (err) {
+            log('failed to start for client', err);
+            emitClientError('offer-error', 'error.offer');
+        }
+    }
+
+    // 完美协商：访客端为 polite，坐席端为 impolite。
+    async function negotiate(peer) {
+        if (state.peer !== peer) {
+            return;
+        }
+        // 首个 Offer 固定由访客端发起。
+        if (state.role === 'operator' && !peer.remoteDescription) {
+            return;
+        }
+        try {
+            state.makingOffer = true;
+            await peer.setLocalDescription();
+            sendSignal(peer.localDescription.type, peer.localDescription);
+        } catch (err) {
+            log('negotiation failed', err);
+            if (!peer.remoteDescription) {
+                emitClientError('offer-error', 'error.offer');
+            }
+        } finally {
+            state.makingOffer = false;
+        }
+    }
+
+    async function handleRemoteDescription(description) {
+        const peer = await getPeerConnection();
+        const polite = state.role !== 'operator';
+        const readyForOffer = !state.makingOffer
+            && (peer.signalingState === 'stable' || state.isSettingRemoteAnswerPending);
+        const offerCollision = description.type === 'offer' && !readyForOffer;
+        state.ignoreOffer = !polite && offerCollision;
+        if (state.ignoreOffer) {
+            log('offer collision, ignoring remote offer');
+            return;
+        }
+        if (offerCollision) {
+            log('offer collision, rolling back local offer');
+        }
+        state.isSettingRemoteAnswerPending = description.type === 'answer';
+        try {
+            await peer.setRemoteDescription(description);
+        } finally {
+            state.isSettingRemoteAnswerPending = false;
+        }
+        flushPendingCandidates(peer);
+        if (description.type === 'offer') {
+            await peer.setLocalDescription();
+            sendSignal('answer', peer.localDescription);
+        }
+    }
+
+    async function handleOffer(offer) {
+        try {
+            await handleRemoteDescription(offer);
+        } catch (err) {
+            log('failed to handle offer', err);
+            // 重新协商失败不影响已建立的媒体。
+            if (!state.peer?.currentRemoteDescription) {
+                emitClientError('answer-error', 'error.answer');
+            }
+        }
     }
 
     function flushPendingCandidates(peer) {
@@ -307,8 +2480,7 @@
             return;
         }
         try {
-            await state.peer.setRemoteDescription(new RTCSessionDescription(answer));
-            flushPendingCandidates(state.peer);
+            await handleRemoteDescription(answer);
         } catch (err) {
             log('failed to set remote answer', err);
         }
@@ -325,20 +2497,26 @@
         try {
             await state.peer.addIceCandidate(new RTCIceCandidate(candidate));
         } catch (err) {
-            log('add candidate failed', err);
+            if (!state.ignoreOffer) {
+                log('add candidate failed', err);
+            }
         }
     }
 
-    function cleanupAfterCall(message, isError = false) {
+    function cleanupAfterCall(messageCode, isError = false) {
+        stopRecording('call-ended');
         destroyPeerConnection(true);
         state.currentClientId = null;
-        state.pendingClientId = null;
+        state.acceptingClientId = null;
         setCallState('ended');
         if (state.role === 'operator') {
-            const display = message || '通话已结束';
+            const display = messageCode || 'call.ended';
             setOperatorState('ended', display);
+            if (state.pendingQueue.length) {
+                setOperatorState('ringing', 'queue.still-waiting');
+            }
         } else {
-            const display = message || '通话已结束';
+            const display = messageCode || 'call.ended';
             if (isError) {
                 emitClientError('client-error', display);
             } else {
@@ -348,6 +2526,17 @@
         }
     }
 
+    function endCall(messageCode, isError = false) {
+        if (state.role === 'operator') {
+            if (state.currentClientId) {
+                sendSignal('bye', { clientId: state.currentClientId });
+            }
+        } else {
+            sendSignal('bye');
+        }
+        cleanupAfterCall(messageCode, isError);
+    }
+
     function handleSignalMessage(evt) {
         let data;
         try {
@@ -359,43 +2548,52 @@
 
         const type = data?.type;
         const payload = data?.payload;
+        if (type !== 'ping' && type !== 'pong') {
+            recordDiagnostic('signal-in', type, redactSignal(data));
+        }
 
         switch (type) {
             case 'joined': {
                 if (state.role === 'operator') {
-                    setOperatorState('idle', '等待访客呼入');
+                    setOperatorState('idle', 'operator.idle');
                 } else {
-                    setClientStatus('信令连接成功，正在等待坐席响应...');
+                    setClientStatus('client.waiting-operator');
+                    startPhaseTimer('ring', state.timeouts.ringMs);
                 }
                 break;
             }
             case 'incoming': {
                 if (state.role === 'operator') {
-                    state.pendingClientId = data.clientId || payload?.clientId || null;
-                    setOperatorState('ringing', '有新的访客请求');
+                    enqueuePendingClient(data.clientId || payload?.clientId || null, payload);
                 }
                 break;
             }
             case 'incoming-cancelled': {
                 if (state.role === 'operator') {
-                    const cancelledId = data.clientId || payload?.clientId;
-                    if (!state.pendingClientId || !cancelledId || state.pendingClientId === cancelledId) {
-                        state.pendingClientId = null;
-                        setOperatorState('ended', '访客已取消呼叫');
+                    const cancelledId = data.clientId || payload?.clientId || null;
+                    if (cancelledId && cancelledId === state.acceptingClientId) {
+                        state.acceptingClientId = null;
+                    }
+                    if (removePendingClient(cancelledId, 'cancelled') && !state.currentClientId) {
+                        setOperatorState(state.pendingQueue.length ? 'ringing' : 'ended', 'queue.cancelled');
                     }
                 }
                 break;
             }
             case 'start': {
                 if (state.role === 'operator') {
-                    state.currentClientId = data.clientId || payload?.clientId || state.pendingClientId;
-                    state.pendingClientId = null;
-                    setOperatorState('connecting', '正在建立连接...');
+                    state.currentClientId = data.clientId || payload?.clientId || state.acceptingClientId || state.pendingQueue[0]?.clientId || null;
+                    state.acceptingClientId = null;
+                    removePendingClient(state.currentClientId, 'accepted');
+                    setOperatorState('connecting', 'call.connecting');
                     setCallState('connecting');
-                    createPeerConnection().catch((err) => log('createPeerConnection error', err));
+                    startPhaseTimer('connect', state.timeouts.connectMs);
+                    getPeerConnection().catch((err) => log('createPeerConnection error', err));
                 } else {
-                    setClientStatus('坐席已接听，正在建立连接...');
+                    setClientStatus('client.operator-accepted');
+                    clearPhaseTimer('ring');
                     setCallState('connecting');
+                    startPhaseTimer('connect', state.timeouts.connectMs);
                     beginClientNegotiation().catch((err) => log('beginClientNegotiation error', err));
                 }
                 break;
@@ -412,52 +2610,78 @@
                 handleCandidate(payload).catch((err) => log('handleCandidate error', err));
                 break;
             }
+            case 'ping': {
+                sendSignal('pong', payload);
+                break;
+            }
+            case 'pong': {
+                handlePong(payload);
+                break;
+            }
+            case 'mute-state': {
+                handleRemoteMuteState(payload);
+                break;
+            }
+            case 'media-mode': {
+                handleRemoteMediaMode(payload);
+                break;
+            }
+            case 'screen-share': {
+                handleRemoteScreenShare(payload);
+                break;
+            }
             case 'reject': {
                 if (state.role !== 'operator') {
-                    emitClientEvent('rejected', '坐席已拒绝本次通话。');
-                    cleanupAfterCall('坐席已拒绝本次通话。');
+                    emitClientEvent('rejected', 'call.rejected');
+                    cleanupAfterCall('call.rejected');
                 }
                 break;
             }
             case 'busy': {
                 if (state.role !== 'operator') {
-                    emitClientEvent('busy', '坐席正在忙碌，请稍后再试。');
-                    cleanupAfterCall('坐席正在忙碌，请稍后再试。');
+                    emitClientEvent('busy', 'call.busy');
+                    cleanupAfterCall('call.busy');
                 }
                 break;
             }
             case 'no-operator': {
                 if (state.role !== 'operator') {
-                    emitClientEvent('no-operator', '坐席当前离线。');
-                    cleanupAfterCall('坐席当前离线。');
+                    emitClientEvent('no-operator', 'call.no-operator');
+                    cleanupAfterCall('call.no-operator');
                 }
                 break;
             }
             case 'operator-offline': {
                 if (state.role !== 'operator') {
-                    emitClientEvent('operator-offline', '坐席已离线。');
-                    cleanupAfterCall('坐席已离线。');
+                    emitClientEvent('operator-offline', 'call.operator-offline');
+                    cleanupAfterCall('call.operator-offline');
                 }
                 break;
             }
             case 'client-ended': {
                 if (state.role === 'operator') {
-                    cleanupAfterCall('访客已结束通话。');
+                    cleanupAfterCall('call.client-ended');
                 }
                 break;
             }
             case 'bye': {
-                cleanupAfterCall(state.role === 'operator' ? '访客已挂断。' : '坐席已挂断。');
+                cleanupAfterCall(state.role === 'operator' ? 'call.visitor-hangup' : 'call.operator-hangup');
                 break;
             }
             case 'unauthorized': {
-                emitAlert('坐席鉴权失败，请检查访问凭证。');
-                cleanupAfterCall('鉴权失败。', true);
+                state.reconnectSuppressed = true;
+                emitAlert('alert.unauthorized');
+                cleanupAfterCall('call.unauthorized', true);
                 break;
             }
             case 'operator-exists': {
-                emitAlert('当前房间已存在一个坐席，请勿重复登录。');
-                cleanupAfterCall('已有其他坐席在线。', true);
+                state.reconnectSuppressed = true;
+                emitAlert('alert.operator-exists');
+                cleanupAfterCall('call.operator-exists', true);
+                break;
+            }
+            case 'error': {
+                handleSignalError(payload);
                 break;
             }
             default: {
@@ -467,43 +2691,649 @@
         }
     }
 
-    function handleWsClose(evt) {
-        const socket = evt?.target;
-        const intentional = socket && socket === state.expectingCloseSocket;
-        if (intentional) {
-            state.expectingCloseSocket = null;
+    function handleSignalError(payload) {
+        const code = payload?.code || 'unknown';
+        log('signal error', code, payload?.message);
+        recordDiagnostic('error', 'signal-error', { code });
+        sendToHost({ type: 'signal-error', code, message: payload?.message || null });
+        if (state.role !== 'operator' || !state.acceptingClientId) {
+            return;
+        }
+        if (code === 'client-not-waiting') {
+            removePendingClient(state.acceptingClientId, 'cancelled');
+        }
+        state.acceptingClientId = null;
+        setOperatorState(state.pendingQueue.length ? 'ringing' : 'idle', 'signal.server-error', { code });
+    }
+
+    function handleWsClose(evt) {
+        const socket = evt?.target;
+        const intentional = socket && socket === state.expectingCloseSocket;
+        if (intentional) {
+            state.expectingCloseSocket = null;
+        }
+        log('signal closed', evt.code, evt.reason, 'intentional=', intentional);
+        if (intentional) {
+            destroyPeerConnection(true);
+            return;
+        }
+        if (socket && socket !== state.ws) {
+            return;
+        }
+        state.expectingCloseSocket = null;
+        state.ws = null;
+        stopHeartbeat();
+        clearPendingQueue();
+        setCallState('ended');
+        destroyPeerConnection(true);
+        state.currentClientId = null;
+        state.acceptingClientId = null;
+        if (scheduleReconnect()) {
+            return;
+        }
+        //注意：此逻辑为消息发给宿主，宿主弹出提醒。
+        if (state.role === 'operator') {
+            setOperatorState('offline', 'signal.closed');
+        } else {
+            emitClientEvent('ws-error', 'signal.closed');
+            setClientStatus('signal.closed');
+        }
+    }
+
+    //注意：此逻辑为消息发给宿主，宿主弹出提醒。
+    function handleWsError(evt) {
+        log('signal error', evt);
+        if (canReconnect()) {
+            // 随后的 close 事件会进入重连流程。
+            updateStatusBar('signal.recovering');
+            return;
+        }
+        if (state.role === 'operator') {
+            setOperatorState('offline', 'signal.error');
+        } else {
+            emitClientEvent('signal-error', 'signal.error');
+            setClientStatus('signal.error');
+        }
+    }
+
+    function applyReconnectConfig(message) {
+        const source = message.reconnect && typeof message.reconnect === 'object' ? message.reconnect : {};
+        const readNumber = (value, fallback, min) => (Number.isFinite(Number(value)) && Number(value) >= min ? Number(value) : fallback);
+        state.reconnect = {
+            enabled: source.enabled !== false,
+            baseDelayMs: readNumber(source.baseDelayMs, DEFAULT_RECONNECT.baseDelayMs, 100),
+            maxDelayMs: readNumber(source.maxDelayMs, DEFAULT_RECONNECT.maxDelayMs, 100),
+            maxAttempts: readNumber(source.maxAttempts, DEFAULT_RECONNECT.maxAttempts, 0),
+            stableMs: readNumber(source.stableMs, DEFAULT_RECONNECT.stableMs, 0),
+        };
+    }
+
+    function cancelReconnect() {
+        if (state.reconnectTimer) {
+            clearTimeout(state.reconnectTimer);
+            state.reconnectTimer = null;
+        }
+        state.reconnectAttempt = 0;
+    }
+
+    function canReconnect() {
+        return state.reconnect.enabled
+            && !state.reconnectSuppressed
+            && !!state.wsUrl
+            && state.reconnectAttempt < state.reconnect.maxAttempts;
+    }
+
+    // 指数退避，取 [delay/2, delay) 区间的随机值。
+    function computeReconnectDelay(attempt) {
+        const { baseDelayMs, maxDelayMs } = state.reconnect;
+        const delay = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+        return Math.round(delay / 2 + Math.random() * (delay / 2));
+    }
+
+    function scheduleReconnect() {
+        if (state.reconnectTimer) {
+            return true;
+        }
+        if (!canReconnect()) {
+            if (state.reconnectAttempt > 0) {
+                sendToHost({
+                    type: 'signal-reconnecting',
+                    attempt: state.reconnectAttempt,
+                    maxAttempts: state.reconnect.maxAttempts,
+                    giveUp: true,
+                });
+                state.reconnectAttempt = 0;
+            }
+            return false;
+        }
+        state.reconnectAttempt += 1;
+        const attempt = state.reconnectAttempt;
+        const delayMs = computeReconnectDelay(attempt);
+        log('schedule signal reconnect', attempt, delayMs);
+        sendToHost({
+            type: 'signal-reconnecting',
+            attempt,
+            maxAttempts: state.reconnect.maxAttempts,
+            delayMs,
+            giveUp: false,
+        });
+        const params = { seconds: Math.ceil(delayMs / 1000), attempt };
+        if (state.role === 'operator') {
+            setOperatorState('offline', 'signal.reconnecting', params);
+        } else {
+            setClientStatus('signal.reconnecting', params);
+        }
+        state.reconnectTimer = setTimeout(() => {
+            state.reconnectTimer = null;
+            connectSignal();
+        }, delayMs);
+        return true;
+    }
+
+    // ---- MQTT over WebSocket 信令传输 ----
+    // 两端模拟信令服务器的房间规则，主题：
+    //   {prefix}/{room}/operator          访客 -> 坐席
+    //   {prefix}/{room}/client/{clientId} 坐席 -> 指定访客
+    //   {prefix}/{room}/presence/operator 坐席在线状态（retained，遗嘱消息置为离线）
+
+    function encodeRemainingLength(length) {
+        const bytes = [];
+        let value = length;
+        do {
+            let digit = value % 128;
+            value = Math.floor(value / 128);
+            if (value > 0) {
+                digit |= 0x80;
+            }
+            bytes.push(digit);
+        } while (value > 0);
+        return bytes;
+    }
+
+    function concatBytes(parts) {
+        const total = parts.reduce((sum, part) => sum + part.length, 0);
+        const result = new Uint8Array(total);
+        let offset = 0;
+        parts.forEach((part) => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+
+    function encodeMqttString(text) {
+        const bytes = textEncoder.encode(text);
+        return concatBytes([[bytes.length >> 8, bytes.length & 0xff], bytes]);
+    }
+
+    function buildMqttPacket(type, flags, parts) {
+        const body = concatBytes(parts);
+        return concatBytes([[(type << 4) | flags], encodeRemainingLength(body.length), body]);
+    }
+
+    function buildMqttConnect({ clientId, username, password, keepAliveSeconds, will }) {
+        let flags = 0x02;
+        const payload = [encodeMqttString(clientId)];
+        if (will) {
+            flags |= 0x04 | (will.retain ? 0x20 : 0);
+            payload.push(encodeMqttString(will.topic), encodeMqttString(will.payload));
+        }
+        if (username) {
+            flags |= 0x80;
+            payload.push(encodeMqttString(username));
+        }
+        if (password) {
+            flags |= 0x40;
+            payload.push(encodeMqttString(password));
+        }
+        return buildMqttPacket(MQTT_PACKET.CONNECT, 0, [
+            encodeMqttString('MQTT'),
+            [4, flags, keepAliveSeconds >> 8, keepAliveSeconds & 0xff],
+            ...payload,
+        ]);
+    }
+
+    function buildMqttPublish(topic, payload, retain = false) {
+        return buildMqttPacket(MQTT_PACKET.PUBLISH, retain ? 0x01 : 0, [encodeMqttString(topic), textEncoder.encode(payload)]);
+    }
+
+    function buildMqttSubscribe(packetId, topics) {
+        return buildMqttPacket(MQTT_PACKET.SUBSCRIBE, 0x02, [
+            [packetId >> 8, packetId & 0xff],
+            ...topics.map((topic) => concatBytes([encodeMqttString(topic), [0]])),
+        ]);
+    }
+
+    function parseMqttPackets(buffer) {
+        const packets = [];
+        let offset = 0;
+        while (offset + 2 <= buffer.length) {
+            let multiplier = 1;
+            let length = 0;
+            let index = offset + 1;
+            let digit;
+            do {
+                if (index >= buffer.length) {
+                    return { packets, rest: buffer.slice(offset) };
+                }
+                digit = buffer[index++];
+                length += (digit & 0x7f) * multiplier;
+                multiplier *= 128;
+            } while (digit & 0x80);
+            if (index + length > buffer.length) {
+                break;
+            }
+            packets.push({
+                type: buffer[offset] >> 4,
+                flags: buffer[offset] & 0x0f,
+                body: buffer.slice(index, index + length),
+            });
+            offset = index + length;
+        }
+        return { packets, rest: buffer.slice(offset) };
+    }
+
+    function createMqttSignalTransport(url, options) {
+        const transport = new EventTarget();
+        const { role, room, token } = options;
+        const overrides = Object.entries(options.mqtt || {}).filter(([, value]) => value !== null && value !== undefined);
+        const config = { ...DEFAULT_MQTT, ...Object.fromEntries(overrides) };
+        const sessionId = config.clientId || options.sessionId || `${role}-${createMessageId()}`;
+        const base = `${config.topicPrefix}/${room}`;
+        const operatorTopic = `${base}/operator`;
+        const presenceTopic = `${base}/presence/operator`;
+        const clientTopic = (clientId) => `${base}/client/${clientId}`;
+        const session = {
+            buffer: new Uint8Array(0),
+            packetId: 1,
+            keepAliveTimer: null,
+            presenceTimer: null,
+            joined: false,
+            operatorPresence: null,
+            rang: false,
+            activeClientId: null,
+            waitingClients: new Set(),
+            pendingPing: null,
+        };
+
+        transport.readyState = WebSocket.CONNECTING;
+
+        const socket = new WebSocket(url, 'mqtt');
+        socket.binaryType = 'arraybuffer';
+
+        function emit(message) {
+            transport.dispatchEvent(new MessageEvent('message', { data: JSON.stringify(message) }));
+        }
+
+        function write(packet) {
+            if (socket.readyState === WebSocket.OPEN) {
+                socket.send(packet);
+            }
+        }
+
+        function publish(topic, message, retain = false) {
+            write(buildMqttPublish(topic, JSON.stringify(message), retain));
+        }
+
+        function finish(code, reason) {
+            if (transport.readyState === WebSocket.CLOSED) {
+                return;
+            }
+            transport.readyState = WebSocket.CLOSED;
+            clearInterval(session.keepAliveTimer);
+            clearTimeout(session.presenceTimer);
+            transport.dispatchEvent(new CloseEvent('close', { code, reason }));
+        }
+
+        function handleJoinRequest() {
+            const topics = role === 'operator' ? [operatorTopic, presenceTopic] : [clientTopic(sessionId), presenceTopic];
+            write(buildMqttSubscribe(session.packetId++, topics));
+        }
+
+        // 等待 retained 的坐席在线状态，据此模拟 joined / no-operator / operator-exists。
+        function handleSubscribed() {
+            clearTimeout(session.presenceTimer);
+            session.presenceTimer = setTimeout(() => {
+                const presence = session.operatorPresence;
+                if (role === 'operator') {
+                    if (presence?.online && presence.sessionId !== sessionId) {
+                        emit({ type: 'operator-exists' });
+                        transport.close(1000, 'operator-exists');
+                        return;
+                    }
+                    publish(presenceTopic, { online: true, sessionId }, true);
+                    session.joined = true;
+                    emit({ type: 'joined' });
+                } else {
+                    session.joined = true;
+                    emit({ type: 'joined' });
+                    if (!presence?.online) {
+                        emit({ type: 'no-operator' });
+                    } else {
+                        ringOperator();
+                    }
+                }
+            }, config.presenceWaitMs);
+        }
+
+        function ringOperator() {
+            if (session.rang) {
+                return;
+            }
+            session.rang = true;
+            publish(operatorTopic, { type: 'incoming', clientId: sessionId });
+        }
+
+        function handlePresence(presence) {
+            session.operatorPresence = presence;
+            if (role === 'operator' || !session.joined) {
+                return;
+            }
+            if (presence?.online) {
+                ringOperator();
+            } else if (session.rang) {
+                emit({ type: 'operator-offline' });
+            }
+        }
+
+        function handleOperatorInbox(message) {
+            const { type, clientId } = message;
+            if (!clientId) {
+                return;
+            }
+            if (type === 'incoming') {
+                if (session.activeClientId && session.activeClientId !== clientId) {
+                    publish(clientTopic(clientId), { type: 'busy' });
+                    return;
+                }
+                session.waitingClients.add(clientId);
+                emit({ type: 'incoming', clientId, payload: message.payload });
+            } else if (type === 'bye') {
+                if (clientId === session.activeClientId) {
+                    session.activeClientId = null;
+                    emit({ type: 'bye', clientId });
+                } else if (session.waitingClients.delete(clientId)) {
+                    emit({ type: 'incoming-cancelled', clientId });
+                }
+            } else if (clientId === session.activeClientId) {
+                emit({ type, clientId, payload: message.payload });
+            }
+        }
+
+        function handlePublish(packet) {
+            const body = packet.body;
+            const topicLength = (body[0] << 8) | body[1];
+            const topic = textDecoder.decode(body.slice(2, 2 + topicLength));
+            let offset = 2 + topicLength;
+            const qos = (packet.flags >> 1) & 0x03;
+            if (qos > 0) {
+                write(buildMqttPacket(MQTT_PACKET.PUBACK, 0, [body.slice(offset, offset + 2)]));
+                offset += 2;
+            }
+            let message;
+            try {
+                message = JSON.parse(textDecoder.decode(body.slice(offset)) || 'null');
+            } catch (err) {
+                log('invalid mqtt signal payload', topic);
+                return;
+            }
+            if (topic === presenceTopic) {
+                handlePresence(message);
+            } else if (topic === operatorTopic) {
+                handleOperatorInbox(message || {});
+            } else if (message && topic === clientTopic(sessionId)) {
+                emit(message);
+            }
+        }
+
+        function handlePacket(packet) {
+            switch (packet.type) {
+                case MQTT_PACKET.CONNACK: {
+                    if (packet.body[1] !== 0) {
+                        log('mqtt connect refused', packet.body[1]);
+                        emit({ type: 'unauthorized' });
+                        socket.close(1000, 'connack-refused');
+                        return;
+                    }
+                    transport.readyState = WebSocket.OPEN;
+                    if (config.keepAliveSeconds > 0) {
+                        session.keepAliveTimer = setInterval(() => {
+                            write(new Uint8Array([MQTT_PACKET.PINGREQ << 4, 0]));
+                        }, config.keepAliveSeconds * 1000);
+                    }
+                    transport.dispatchEvent(new Event('open'));
+                    break;
+                }
+                case MQTT_PACKET.SUBACK: {
+                    handleSubscribed();
+                    break;
+                }
+                case MQTT_PACKET.PINGRESP: {
+                    if (session.pendingPing) {
+                        emit({ type: 'pong', payload: session.pendingPing });
+                        session.pendingPing = null;
+                    }
+                    break;
+                }
+                case MQTT_PACKET.PUBLISH: {
+                    handlePublish(packet);
+                    break;
+                }
+                default: {
+                    break;
+                }
+            }
+        }
+
+        function sendAsOperator(type, payload) {
+            const clientId = payload?.clientId || session.activeClientId;
+            if (!clientId) {
+                log('skip mqtt signal without client', type);
+                return;
+            }
+            switch (type) {
+                case 'accept': {
+                    session.waitingClients.delete(clientId);
+                    session.activeClientId = clientId;
+                    publish(clientTopic(clientId), { type: 'start' });
+                    emit({ type: 'start', clientId });
+                    break;
+                }
+                case 'reject': {
+                    session.waitingClients.delete(clientId);
+                    publish(clientTopic(clientId), { type: 'reject' });
+                    break;
+                }
+                case 'bye': {
+                    if (clientId === session.activeClientId) {
+                        session.activeClientId = null;
+                    }
+                    publish(clientTopic(clientId), { type: 'bye' });
+                    break;
+                }
+                default: {
+                    publish(clientTopic(clientId), { type, payload });
+                    break;
+                }
+            }
+        }
+
+        socket.addEventListener('open', () => {
+            const will = role === 'operator'
+                ? { topic: presenceTopic, payload: JSON.stringify({ online: false, sessionId }), retain: true }
+                : { topic: operatorTopic, payload: JSON.stringify({ type: 'bye', clientId: sessionId }), retain: false };
+            write(buildMqttConnect({
+                clientId: sessionId,
+                username: config.username,
+                password: config.password ?? token,
+                keepAliveSeconds: config.keepAliveSeconds,
+                will,
+            }));
+        });
+        socket.addEventListener('message', (evt) => {
+            const { packets, rest } = parseMqttPackets(concatBytes([session.buffer, new Uint8Array(evt.data)]));
+            session.buffer = rest;
+            packets.forEach(handlePacket);
+        });
+        socket.addEventListener('error', () => transport.dispatchEvent(new Event('error')));
+        socket.addEventListener('close', (evt) => finish(evt.code, evt.reason));
+
+        transport.send = (raw) => {
+            const message = JSON.parse(raw);
+            if (message.type === 'join') {
+                handleJoinRequest();
+            } else if (message.type === 'ping') {
+                session.pendingPing = message.payload;
+                write(new Uint8Array([MQTT_PACKET.PINGREQ << 4, 0]));
+            } else if (message.type === 'pong') {
+                return;
+            } else if (role === 'operator') {
+                sendAsOperator(message.type, message.payload);
+            } else {
+                if (message.type === 'bye') {
+                    session.rang = false;
+                }
+                publish(operatorTopic, { type: message.type, clientId: sessionId, payload: message.payload });
+            }
+        };
+
+        transport.close = (code = 1000, reason = '') => {
+            if (transport.readyState === WebSocket.OPEN) {
+                if (role === 'operator' && session.joined) {
+                    publish(presenceTopic, { online: false, sessionId }, true);
+                } else if (role !== 'operator' && session.rang) {
+                    publish(operatorTopic, { type: 'bye', clientId: sessionId });
+                }
+                write(new Uint8Array([MQTT_PACKET.DISCONNECT << 4, 0]));
+            }
+            transport.readyState = WebSocket.CLOSING;
+            socket.close(code, reason);
+        };
+
+        return transport;
+    }
+
+    function createSignalTransport() {
+        if (state.transport === 'mqtt') {
+            // 重连沿用同一个会话 id，broker 上残留的 retained 在线状态才会被认作自己。
+            if (!state.mqttSessionId?.startsWith(`${state.role}-`)) {
+                state.mqttSessionId = `${state.role}-${createMessageId()}`;
+            }
+            return createMqttSignalTransport(state.wsUrl, {
+                role: state.role,
+                room: state.room,
+                token: state.token,
+                mqtt: state.mqtt,
+                sessionId: state.mqttSessionId,
+            });
+        }
+        return new WebSocket(state.wsUrl);
+    }
+
+    function applyHeartbeatConfig(message) {
+        const source = message.heartbeat && typeof message.heartbeat === 'object' ? message.heartbeat : {};
+        const interval = Number(source.intervalMs);
+        const threshold = Number(source.missThreshold);
+        state.heartbeat = {
+            enabled: source.enabled === true,
+            intervalMs: Number.isFinite(interval) && interval >= 1000 ? interval : DEFAULT_HEARTBEAT.intervalMs,
+            missThreshold: Number.isFinite(threshold) && threshold >= 1 ? Math.floor(threshold) : DEFAULT_HEARTBEAT.missThreshold,
+        };
+    }
+
+    // 连续丢失 pong 判定死连接；收到过 pong 才开始计数。
+    function startHeartbeat(ws) {
+        stopHeartbeat();
+        if (!state.heartbeat.enabled) {
+            return;
+        }
+        state.heartbeatTimer = setInterval(() => {
+            if (state.ws !== ws) {
+                stopHeartbeat();
+                return;
+            }
+            if (state.pendingPing && state.heartbeatConfirmed) {
+                state.heartbeatMisses += 1;
+                log('signal heartbeat missed', state.heartbeatMisses);
+                markSignalStale(true);
+                if (state.heartbeatMisses >= state.heartbeat.missThreshold) {
+                    forceCloseSignal(ws, 'heartbeat-timeout');
+                    return;
+                }
+            }
+            state.pendingPing = { id: createMessageId(), sentAt: Date.now() };
+            sendSignal('ping', { id: state.pendingPing.id, ts: state.pendingPing.sentAt });
+        }, state.heartbeat.intervalMs);
+    }
+
+    function stopHeartbeat() {
+        if (state.heartbeatTimer) {
+            clearInterval(state.heartbeatTimer);
+            state.heartbeatTimer = null;
+        }
+        state.heartbeatMisses = 0;
+        state.heartbeatConfirmed = false;
+        state.pendingPing = null;
+        state.signalStale = false;
+    }
+
+    function handlePong(payload) {
+        if (state.selfTestPing && payload?.id === state.selfTestPing.id) {
+            state.selfTestPing.resolve(Date.now());
+            return;
+        }
+        const pending = state.pendingPing;
+        if (!pending || (payload?.id && payload.id !== pending.id)) {
+            return;
+        }
+        state.pendingPing = null;
+        state.heartbeatMisses = 0;
+        state.heartbeatConfirmed = true;
+        sendToHost({ type: 'signal-latency', rttMs: Date.now() - pending.sentAt });
+        markSignalStale(false);
+    }
+
+    function markSignalStale(stale) {
+        if (state.signalStale === stale) {
+            return;
         }
-        log('signal closed', evt.code, evt.reason, 'intentional=', intentional);
-        if (intentional) {
-            destroyPeerConnection(true);
+        state.signalStale = stale;
+        if (state.role !== 'operator') {
             return;
         }
-        //注意：此逻辑为消息发给宿主，宿主弹出提醒。
-        state.expectingCloseSocket = null;
-        if (state.role === 'operator') {
-            setOperatorState('offline', '信令连接已断开');
-        } else {
-            emitClientEvent('ws-error', '信令连接已断开');
-            setClientStatus('信令连接已断开');
+        if (stale && state.operatorState === 'idle') {
+            setOperatorState('stale', 'signal.stale');
+        } else if (!stale && state.operatorState === 'stale') {
+            setOperatorState('idle', 'operator.idle');
         }
-        setCallState('ended');
-        destroyPeerConnection(true);
     }
 
-    //注意：此逻辑为消息发给宿主，宿主弹出提醒。
-    function handleWsError(evt) {
-        log('signal error', evt);
-        if (state.role === 'operator') {
-            setOperatorState('offline', '信令连接异常');
-        } else {
-            emitClientEvent('signal-error', '信令连接异常');
-            setClientStatus('信令连接异常');
+    // 半开连接的 close 事件要等握手超时，这里直接走关闭处理。
+    function forceCloseSignal(ws, reason) {
+        log('force close signal', reason);
+        stopHeartbeat();
+        try {
+            ws.close(4000, reason);
+        } catch (err) {
+            log('force close ws fail', err);
         }
+        handleWsClose({ target: ws, code: 4000, reason });
+    }
+
+    // 收到第一条消息或连接保持 stableMs 后才清零重连计数。
+    function confirmSignalSession(ws) {
+        if (state.ws !== ws || state.reconnectAttempt === 0) {
+            return;
+        }
+        sendToHost({ type: 'signal-restored', attempts: state.reconnectAttempt });
+        state.reconnectAttempt = 0;
     }
 
     function bindWebSocket(ws) {
         ws.addEventListener('open', () => {
             log('signal opened');
+            startHeartbeat(ws);
+            setTimeout(() => confirmSignalSession(ws), state.reconnect.stableMs);
             const joinPayload = {
                 type: 'join',
                 room: state.room,
@@ -512,13 +3342,15 @@
             if (state.token) {
                 joinPayload.token = state.token;
             }
+            recordDiagnostic('signal-out', 'join', redactSignal(joinPayload));
             ws.send(JSON.stringify(joinPayload));
             if (state.role === 'operator') {
-                setOperatorState('connecting', '正在连接信令服务器...');
+                setOperatorState('connecting', 'signal.connecting');
             } else {
-                setClientStatus('正在连接信令服务器...');
+                setClientStatus('signal.connecting');
             }
         });
+        ws.addEventListener('message', () => confirmSignalSession(ws), { once: true });
         ws.addEventListener('message', handleSignalMessage);
         ws.addEventListener('close', handleWsClose);
         ws.addEventListener('error', handleWsError);
@@ -526,7 +3358,7 @@
 
     function connectSignal() {
         if (!state.wsUrl) {
-            emitClientError('config-error', '信令服务器地址未配置。');
+            emitClientError('config-error', 'error.signal-url-missing');
             return;
         }
         try {
@@ -538,69 +3370,178 @@
             log('close old ws fail', err);
         }
         try {
-            const ws = new WebSocket(state.wsUrl);
+            const ws = createSignalTransport();
             state.ws = ws;
             bindWebSocket(ws);
         } catch (err) {
             log('connect signal fail', err);
-            emitClientError('ws-error', '无法连接信令服务器。');
+            state.ws = null;
+            if (!scheduleReconnect()) {
+                emitClientError('ws-error', 'error.signal-connect');
+            }
         }
     }
 
     function handleJoin(message) {
+        state.locale = resolveLocale(message.locale);
+        applyPageLocale();
         state.role = message.role === 'operator' ? 'operator' : 'client';
         state.room = message.room || 'default';
         state.token = message.token || null;
         state.wsUrl = message.ws || message.signalServer || '';
+        state.transport = message.transport === 'mqtt' ? 'mqtt' : 'websocket';
+        state.mqtt = message.mqtt && typeof message.mqtt === 'object' ? message.mqtt : null;
+        applyIceConfig(message);
+        applyReconnectConfig(message);
+        applyIceRecoveryConfig(message);
+        applyStatsConfig(message);
+        applyAudioLevelConfig(message);
+        applyRemoteCommandConfig(message);
+        applyTimeoutConfig(message);
+        applyHeartbeatConfig(message);
+        applyMediaConfig(message);
+        applyAutoSnapshotConfig(message);
+        state.audioDeviceId = message.audioDeviceId || state.audioDeviceId;
+        state.videoDeviceId = message.videoDeviceId || state.videoDeviceId;
+        state.captionsEnabled = message.captions !== false;
+        cancelReconnect();
+        state.reconnectSuppressed = false;
         state.isPaused = false;
-        state.pendingClientId = null;
+        state.audioMuted = false;
+        state.videoMuted = false;
+        clearPendingQueue();
+        state.queueTimeoutMs = Number(message.queueTimeoutMs) > 0
+            ? Number(message.queueTimeoutMs)
+            : state.timeouts.ringMs || DEFAULT_QUEUE_TIMEOUT_MS;
         state.currentClientId = null;
         state.autoplayPrompted = false;
         destroyPeerConnection(true);
         updateLocalPreviewVisibility();
         if (state.role === 'operator') {
-            updateStatusBar('正在初始化坐席端...');
+            updateStatusBar('operator.initializing');
         } else {
-            setClientStatus('正在准备访客端...');
+            setClientStatus('client.preparing');
         }
         connectSignal();
     }
 
-    function handleAccept() {
+    function findPendingClient(clientId) {
+        if (clientId === undefined || clientId === null) {
+            return state.pendingQueue[0] || null;
+        }
+        return state.pendingQueue.find((entry) => entry.clientId === clientId) || null;
+    }
+
+    function reportPendingQueue(reason, clientId) {
+        const now = Date.now();
+        sendToHost({
+            type: 'queue-updated',
+            reason,
+            clientId: clientId ?? null,
+            queue: state.pendingQueue.map((entry) => ({
+                clientId: entry.clientId,
+                arrivedAt: entry.arrivedAt,
+                waitingMs: now - entry.arrivedAt,
+                metadata: entry.metadata,
+            })),
+        });
+    }
+
+    function enqueuePendingClient(clientId, payload) {
+        const { clientId: _ignored, ...metadata } = payload && typeof payload === 'object' ? payload : {};
+        const existing = clientId ? findPendingClient(clientId) : null;
+        if (existing) {
+            existing.metadata = { ...existing.metadata, ...metadata };
+        } else {
+            const entry = { clientId, arrivedAt: Date.now(), metadata, timer: null };
+            entry.timer = setTimeout(() => {
+                entry.timer = null;
+                if (removePendingClient(entry.clientId, 'timeout') && !state.currentClientId) {
+                    setOperatorState(state.pendingQueue.length ? 'ringing' : 'ended', 'queue.timeout');
+                }
+            }, state.queueTimeoutMs);
+            state.pendingQueue.push(entry);
+        }
+        reportPendingQueue(existing ? 'updated' : 'incoming', clientId);
+        if (!state.currentClientId) {
+            if (state.pendingQueue.length > 1) {
+                setOperatorState('ringing', 'queue.waiting-many', { count: state.pendingQueue.length });
+            } else {
+                setOperatorState('ringing', 'queue.incoming');
+            }
+        }
+    }
+
+    function removePendingClient(clientId, reason) {
+        const index = clientId === null || clientId === undefined
+            ? (state.pendingQueue.length === 1 ? 0 : -1)
+            : state.pendingQueue.findIndex((entry) => entry.clientId === clientId);
+        if (index < 0) {
+            return false;
+        }
+        const [entry] = state.pendingQueue.splice(index, 1);
+        if (entry.timer) {
+            clearTimeout(entry.timer);
+        }
+        reportPendingQueue(reason, entry.clientId);
+        return true;
+    }
+
+    function clearPendingQueue() {
+        state.pendingQueue.forEach((entry) => {
+            if (entry.timer) {
+                clearTimeout(entry.timer);
+            }
+        });
+        const hadEntries = state.pendingQueue.length > 0;
+        state.pendingQueue = [];
+        if (hadEntries) {
+            reportPendingQueue('cleared');
+        }
+    }
+
+    function handleAccept(message = {}) {
         if (state.role !== 'operator') {
-            return;
+            throw commandFailure('invalid-role', 'error.accept-not-operator');
         }
-        const target = state.pendingClientId;
-        if (!target) {
-            log('no pending client to accept');
-            return;
+        if (state.currentClientId || state.acceptingClientId) {
+            throw commandFailure('operator-in-call', 'error.accept-in-call');
         }
-        sendSignal('accept', { clientId: target });
-        setOperatorState('connecting', '正在接通访客...');
+        const entry = findPendingClient(message.clientId);
+        if (!entry) {
+            log('no pending client to accept', message.clientId);
+            throw commandFailure('no-pending-client', 'error.no-pending-client');
+        }
+        state.acceptingClientId = entry.clientId;
+        sendSignal('accept', { clientId: entry.clientId });
+        setOperatorState('connecting', 'operator.accepting');
     }
 
-    function handleReject() {
+    function handleReject(message = {}) {
         if (state.role !== 'operator') {
-            return;
+            throw commandFailure('invalid-role', 'error.reject-not-operator');
         }
-        const target = state.pendingClientId;
-        if (!target) {
-            return;
+        const entry = findPendingClient(message.clientId);
+        if (!entry) {
+            throw commandFailure('no-pending-client', 'error.no-pending-client');
+        }
+        sendSignal('reject', { clientId: entry.clientId });
+        removePendingClient(entry.clientId, 'rejected');
+        if (!state.currentClientId) {
+            setOperatorState(state.pendingQueue.length ? 'ringing' : 'ended', 'queue.rejected');
         }
-        sendSignal('reject', { clientId: target });
-        state.pendingClientId = null;
-        setOperatorState('ended', '已拒绝访客请求');
     }
 
     function handleHangup() {
         if (state.role === 'operator') {
-            if (state.currentClientId) {
-                sendSignal('bye', { clientId: state.currentClientId });
-                cleanupAfterCall('已结束通话');
+            if (!state.currentClientId) {
+                throw commandFailure('no-active-call', 'error.no-active-call');
             }
+            sendSignal('bye', { clientId: state.currentClientId });
+            cleanupAfterCall('call.hangup');
         } else {
             sendSignal('bye');
-            cleanupAfterCall('已结束通话');
+            cleanupAfterCall('call.hangup');
         }
     }
 
@@ -612,6 +3553,499 @@
         togglePause(false);
     }
 
+    function commandFailure(code, messageCode, notifyHost = false, params) {
+        if (notifyHost) {
+            emitClientError(code, messageCode, params);
+        }
+        const err = new Error(translate(messageCode, params));
+        err.code = code;
+        err.messageCode = messageCode;
+        return err;
+    }
+
+    function getSignalState() {
+        if (!state.ws) {
+            return state.reconnectTimer ? 'reconnecting' : 'closed';
+        }
+        return ['connecting', 'open', 'closing', 'closed'][state.ws.readyState] || 'unknown';
+    }
+
+    function createStateSnapshot() {
+        return {
+            role: state.role,
+            room: state.room,
+            callState: state.callState,
+            signalState: getSignalState(),
+            signalStale: state.signalStale,
+            pendingClientIds: state.pendingQueue.map((entry) => entry.clientId),
+            currentClientId: state.currentClientId,
+            callId: state.callId,
+            mute: {
+                paused: state.isPaused,
+                audio: state.audioMuted,
+                video: state.videoMuted,
+            },
+            remoteMute: {
+                audio: state.remoteAudioMuted,
+                video: state.remoteVideoMuted,
+            },
+            mediaMode: state.mediaMode,
+            remoteMediaMode: state.remoteMediaMode,
+            screenSharing: !!state.screenStream,
+            recording: !!state.recording,
+        };
+    }
+
+    function waitWithTimeout(promise, timeoutMs, fallback) {
+        let timer = null;
+        const timeout = new Promise((resolve) => {
+            timer = setTimeout(() => resolve(fallback), timeoutMs);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    function delay(ms) {
+        return new Promise((resolve) => setTimeout(resolve, ms));
+    }
+
+    function selfTestCheck(name, status, messageCode, details = {}, params) {
+        return { name, status, messageCode, message: translate(messageCode, params), details };
+    }
+
+    function captureFailureCode(kind, err) {
+        const prefix = kind === 'video' ? 'self-test.camera' : 'self-test.mic';
+        if (err?.name === 'NotFoundError' || err?.name === 'OverconstrainedError') {
+            return `${prefix}-missing`;
+        }
+        if (err?.name === 'NotAllowedError' || err?.name === 'SecurityError') {
+            return `${prefix}-denied`;
+        }
+        return `${prefix}-error`;
+    }
+
+    async function captureTestTrack(kind) {
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({ [kind]: buildTrackConstraint(kind, kind === 'video' ? state.videoDeviceId : state.audioDeviceId) });
+            return { track: stream.getTracks()[0] || null, error: null };
+        } catch (err) {
+            log('self-test capture failed', kind, err);
+            return { track: null, error: err };
+        }
+    }
+
+    function runCameraCheck(capture) {
+        if (!capture.track) {
+            return selfTestCheck('camera', 'fail', captureFailureCode('video', capture.error), { error: capture.error?.name || null });
+        }
+        const settings = capture.track.getSettings();
+        const details = {
+            label: capture.track.label,
+            width: settings.width ?? null,
+            height: settings.height ?? null,
+            frameRate: settings.frameRate ?? null,
+        };
+        return capture.track.muted
+            ? selfTestCheck('camera', 'warn', 'self-test.camera-muted', details)
+            : selfTestCheck('camera', 'pass', 'self-test.camera-ok', details);
+    }
+
+    async function runMicrophoneCheck(capture, audioContext, config) {
+        if (!capture.track) {
+            return selfTestCheck('microphone', 'fail', captureFailureCode('audio', capture.error), { error: capture.error?.name || null });
+        }
+        let peak = 0;
+        if (audioContext) {
+            const analyser = audioContext.createAnalyser();
+            analyser.fftSize = 1024;
+            const node = audioContext.createMediaStreamSource(new MediaStream([capture.track]));
+            node.connect(analyser);
+            const samples = new Float32Array(analyser.fftSize);
+            const deadline = Date.now() + config.micSampleMs;
+            while (Date.now() < deadline) {
+                analyser.getFloatTimeDomainData(samples);
+                let sum = 0;
+                for (let i = 0; i < samples.length; i += 1) {
+                    sum += samples[i] * samples[i];
+                }
+                peak = Math.max(peak, Math.sqrt(sum / samples.length));
+                await delay(50);
+            }
+            node.disconnect();
+        }
+        const details = { label: capture.track.label, peakLevel: Math.round(peak * 1000) / 1000 };
+        return peak >= config.micLevelThreshold
+            ? selfTestCheck('microphone', 'pass', 'self-test.mic-ok', details)
+            : selfTestCheck('microphone', 'warn', 'self-test.mic-silent', details);
+    }
+
+    // 本机两个 RTCPeerConnection 直连；没有设备时用振荡器音频。
+    async function runLoopbackCheck(tracks, audioContext, config) {
+        const sendTracks = tracks.slice();
+        if (!sendTracks.length && audioContext) {
+            const oscillator = audioContext.createOscillator();
+            const destination = audioContext.createMediaStreamDestination();
+            oscillator.connect(destination);
+            oscillator.start();
+            sendTracks.push(...destination.stream.getAudioTracks());
+        }
+        const sender = new RTCPeerConnection();
+        const receiver = new RTCPeerConnection();
+        const startedAt = Date.now();
+        try {
+            sender.onicecandidate = (evt) => {
+                if (evt.candidate) {
+                    receiver.addIceCandidate(evt.candidate).catch((err) => log('loopback candidate failed', err));
+                }
+            };
+            receiver.onicecandidate = (evt) => {
+                if (evt.candidate) {
+                    sender.addIceCandidate(evt.candidate).catch((err) => log('loopback candidate failed', err));
+                }
+            };
+            const connected = new Promise((resolve) => {
+                receiver.onconnectionstatechange = () => {
+                    if (receiver.connectionState === 'connected') {
+                        resolve(true);
+                    } else if (receiver.connectionState === 'failed') {
+                        resolve(false);
+                    }
+                };
+            });
+            const stream = new MediaStream(sendTracks);
+            sendTracks.forEach((track) => sender.addTrack(track, stream));
+            await sender.setLocalDescription();
+            await receiver.setRemoteDescription(sender.localDescription);
+            await receiver.setLocalDescription();
+            await sender.setRemoteDescription(receiver.localDescription);
+            if (!await waitWithTimeout(connected, config.loopbackTimeoutMs, false)) {
+                return selfTestCheck('loopback', 'fail', 'self-test.loopback-failed', { connectionState: receiver.connectionState });
+            }
+            const connectMs = Date.now() - startedAt;
+            await delay(config.loopbackMediaWaitMs);
+            const bytesReceived = {};
+            const report = await receiver.getStats();
+            report.forEach((entry) => {
+                if (entry.type === 'inbound-rtp') {
+                    const kind = entry.kind || entry.mediaType;
+                    bytesReceived[kind] = (bytesReceived[kind] || 0) + (entry.bytesReceived || 0);
+                }
+            });
+            const details = { connectMs, bytesReceived, kinds: sendTracks.map((track) => track.kind) };
+            const flowing = sendTracks.every((track) => bytesReceived[track.kind] > 0);
+            return flowing
+                ? selfTestCheck('loopback', 'pass', 'self-test.loopback-ok', details)
+                : selfTestCheck('loopback', 'fail', 'self-test.loopback-no-media', details);
+        } finally {
+            sender.close();
+            receiver.close();
+        }
+    }
+
+    async function runIceCheck(config) {
+        const urls = (state.iceServers || []).flatMap((server) => [].concat(server.urls || []));
+        const hasTurn = urls.some((url) => /^turns?:/i.test(url));
+        const hasStun = urls.some((url) => /^stuns?:/i.test(url));
+        const counts = { host: 0, srflx: 0, prflx: 0, relay: 0 };
+        const protocols = new Set();
+        const startedAt = Date.now();
+        const peer = new RTCPeerConnection({ iceServers: state.iceServers });
+        let completed = false;
+        try {
+            peer.createDataChannel('self-test');
+            const gathered = new Promise((resolve) => {
+                peer.onicecandidate = (evt) => {
+                    if (!evt.candidate) {
+                        resolve(true);
+                        return;
+                    }
+                    if (!evt.candidate.candidate) {
+                        return;
+                    }
+                    const summary = summarizeCandidate(evt.candidate);
+                    const type = evt.candidate.type || summary.type;
+                    if (type in counts) {
+                        counts[type] += 1;
+                    }
+                    if (summary.protocol) {
+                        protocols.add(summary.protocol);
+                    }
+                };
+            });
+            await peer.setLocalDescription();
+            completed = await waitWithTimeout(gathered, config.iceGatherTimeoutMs, false);
+        } finally {
+            peer.close();
+        }
+        const details = {
+            candidates: counts,
+            reachability: ['host', 'srflx', 'relay'].filter((type) => counts[type] > 0),
+            protocols: [...protocols],
+            stunConfigured: hasStun,
+            turnConfigured: hasTurn,
+            elapsedMs: Date.now() - startedAt,
+            timedOut: !completed,
+        };
+        const total = counts.host + counts.srflx + counts.prflx + counts.relay;
+        if (!total) {
+            return selfTestCheck('ice', 'fail', 'self-test.ice-none', details);
+        }
+        if (state.iceTransportPolicy === 'relay' && !counts.relay) {
+            return selfTestCheck('ice', 'fail', 'self-test.ice-relay-required', details);
+        }
+        if (hasTurn && !counts.relay) {
+            return selfTestCheck('ice', 'warn', 'self-test.ice-no-relay', details);
+        }
+        if ((hasStun || hasTurn) && !counts.srflx && !counts.relay) {
+            return selfTestCheck('ice', 'warn', 'self-test.ice-no-srflx', details);
+        }
+        return selfTestCheck('ice', 'pass', 'self-test.ice-ok', details);
+    }
+
+    // 独立 id，不影响心跳计数。
+    async function runSignalCheck(config) {
+        if (!state.ws || state.ws.readyState !== WebSocket.OPEN) {
+            return selfTestCheck('signal', 'fail', 'self-test.signal-not-connected', { signalState: getSignalState() });
+        }
+        const id = `self-test-${createMessageId()}`;
+        const sentAt = Date.now();
+        const receivedAt = await waitWithTimeout(new Promise((resolve) => {
+            state.selfTestPing = { id, resolve };
+            sendSignal('ping', { id, ts: sentAt });
+        }), config.signalTimeoutMs, null);
+        state.selfTestPing = null;
+        if (receivedAt === null) {
+            return state.heartbeatConfirmed
+                ? selfTestCheck('signal', 'fail', 'self-test.signal-timeout', { timeoutMs: config.signalTimeoutMs })
+                : selfTestCheck('signal', 'warn', 'self-test.signal-no-pong', { timeoutMs: config.signalTimeoutMs, pingSupported: false });
+        }
+        const rttMs = receivedAt - sentAt;
+        return rttMs > config.signalRttWarnMs
+            ? selfTestCheck('signal', 'warn', 'self-test.signal-slow', { rttMs }, { rttMs })
+            : selfTestCheck('signal', 'pass', 'self-test.signal-ok', { rttMs }, { rttMs });
+    }
+
+    async function runSelfTest(options = {}) {
+        if (['connecting', 'active', 'reconnecting'].includes(state.callState)) {
+            throw commandFailure('busy-in-call', 'error.self-test-in-call');
+        }
+        if (state.selfTestRunning) {
+            throw commandFailure('self-test-running', 'error.self-test-running');
+        }
+        const config = { ...DEFAULT_SELF_TEST };
+        Object.keys(DEFAULT_SELF_TEST).forEach((key) => {
+            if (Number.isFinite(Number(options[key])) && Number(options[key]) >= 0) {
+                config[key] = Number(options[key]);
+            }
+        });
+        state.selfTestRunning = true;
+        const startedAt = Date.now();
+        const checks = [];
+        let audioContext = null;
+        let captures = [];
+        try {
+            try {
+                audioContext = typeof AudioContext === 'function' ? new AudioContext() : null;
+                await audioContext?.resume();
+            } catch (err) {
+                log('self-test audio context unavailable', err);
+            }
+            const camera = await captureTestTrack('video');
+            const microphone = await captureTestTrack('audio');
+            captures = [camera, microphone];
+            checks.push(runCameraCheck(camera));
+            checks.push(await runMicrophoneCheck(microphone, audioContext, config));
+            const tracks = captures.map((capture) => capture.track).filter(Boolean);
+            const steps = [
+                ['loopback', () => runLoopbackCheck(tracks, audioContext, config)],
+                ['ice', () => runIceCheck(config)],
+                ['signal', () => runSignalCheck(config)],
+            ];
+            for (const [name, run] of steps) {
+                try {
+                    checks.push(await run());
+                } catch (err) {
+                    log('self-test step failed', name, err);
+                    checks.push({ name, status: 'fail', messageCode: null, message: summarizeLogArg(err), details: {} });
+                }
+            }
+        } finally {
+            captures.forEach((capture) => capture.track?.stop());
+            audioContext?.close().catch((err) => log('close self-test audio context failed', err));
+            state.selfTestRunning = false;
+        }
+        const overall = checks.reduce((worst, check) => (
+            SELF_TEST_STATUS_RANK[check.status] > SELF_TEST_STATUS_RANK[worst] ? check.status : worst
+        ), 'pass');
+        const report = {
+            startedAt: new Date(startedAt).toISOString(),
+            durationMs: Date.now() - startedAt,
+            overall,
+            checks,
+        };
+        recordDiagnostic('state', 'self-test', { overall, checks: checks.map(({ name, status }) => ({ name, status })) });
+        sendToHost({ type: 'self-test-result', requestId: options.requestId ?? null, ...report });
+        return { overall };
+    }
+
+    function listCodecs(kind) {
+        try {
+            const codecs = RTCRtpSender.getCapabilities?.(kind)?.codecs || [];
+            return [...new Set(codecs.map((codec) => codec.mimeType))];
+        } catch (err) {
+            return [];
+        }
+    }
+
+    async function collectCapabilities() {
+        const mediaDevices = navigator.mediaDevices;
+        const capabilities = {
+            userAgent: navigator.userAgent,
+            language: navigator.language,
+            online: navigator.onLine,
+            webview: !!(window.chrome && window.chrome.webview),
+            rtcPeerConnection: typeof RTCPeerConnection === 'function',
+            getUserMedia: typeof mediaDevices?.getUserMedia === 'function',
+            getDisplayMedia: typeof mediaDevices?.getDisplayMedia === 'function',
+            mediaRecorder: typeof MediaRecorder === 'function',
+            audioContext: typeof AudioContext === 'function',
+            setCodecPreferences: typeof RTCRtpTransceiver !== 'undefined'
+                && typeof RTCRtpTransceiver.prototype.setCodecPreferences === 'function',
+            restartIce: typeof RTCPeerConnection === 'function'
+                && typeof RTCPeerConnection.prototype.restartIce === 'function',
+            codecs: {
+                audio: typeof RTCRtpSender !== 'undefined' ? listCodecs('audio') : [],
+                video: typeof RTCRtpSender !== 'undefined' ? listCodecs('video') : [],
+            },
+            devices: null,
+        };
+        if (typeof mediaDevices?.enumerateDevices === 'function') {
+            try {
+                const devices = await mediaDevices.enumerateDevices();
+                capabilities.devices = devices.reduce((counts, device) => {
+                    counts[device.kind] = (counts[device.kind] || 0) + 1;
+                    return counts;
+                }, {});
+            } catch (err) {
+                log('enumerate devices for diagnostics failed', err);
+            }
+        }
+        return capabilities;
+    }
+
+    async function collectDiagnostics() {
+        return {
+            generatedAt: new Date().toISOString(),
+            page: `${location.origin}${location.pathname}`,
+            state: createStateSnapshot(),
+            config: {
+                locale: state.locale,
+                transport: state.transport,
+                iceTransportPolicy: state.iceTransportPolicy,
+                iceServers: (state.iceServers || []).map((server) => ({ urls: server.urls })),
+                timeouts: { ...state.timeouts },
+                heartbeat: { ...state.heartbeat },
+                mediaConstraints: state.mediaConstraints,
+                bandwidth: state.bandwidth,
+                remoteCommands: { ...state.remoteCommands },
+            },
+            peer: state.peer
+                ? {
+                    connectionState: state.peer.connectionState,
+                    iceConnectionState: state.peer.iceConnectionState,
+                    signalingState: state.peer.signalingState,
+                }
+                : null,
+            lastCallStats: state.lastCallStats,
+            capabilities: await collectCapabilities(),
+            dropped: state.diagnosticsDropped,
+            entries: state.diagnostics.slice(),
+        };
+    }
+
+    function executeHostCommand(data) {
+        switch (data.type) {
+            case 'join':
+                return handleJoin(data);
+            case 'accept':
+                return handleAccept(data);
+            case 'reject':
+                return handleReject(data);
+            case 'hangup':
+                return handleHangup();
+            case 'pause':
+                return handlePause();
+            case 'resume':
+                return handleResume();
+            case 'mute-audio':
+                return setLocalMute('audio', true);
+            case 'unmute-audio':
+                return setLocalMute('audio', false);
+            case 'mute-video':
+                return setLocalMute('video', true);
+            case 'unmute-video':
+                return setLocalMute('video', false);
+            case 'start-screen-share':
+                return startScreenShare();
+            case 'stop-screen-share':
+                return stopScreenShare();
+            case 'start-recording':
+                return startRecording(data);
+            case 'stop-recording':
+                return stopRecording('request');
+            case 'chat-send':
+                return handleChatSend(data);
+            case 'remote-command':
+                return handleRemoteCommandSend(data);
+            case 'remote-command-result':
+                return handleRemoteCommandResult(data);
+            case 'list-devices':
+                return reportDevices('request');
+            case 'select-devices':
+                return handleSelectDevices(data);
+            case 'set-bandwidth':
+                return handleSetBandwidth(data);
+            case 'capture-snapshot':
+                return captureSnapshot(data);
+            case 'get-state':
+                return undefined;
+            case 'get-diagnostics':
+                return collectDiagnostics();
+            case 'self-test':
+                return runSelfTest(data);
+            default:
+                log('unknown host command', data);
+                throw commandFailure('unknown-command', 'error.unknown-command', false, { command: data.type });
+        }
+    }
+
+    async function dispatchHostCommand(data) {
+        recordDiagnostic('host', data.type, { requestId: data.requestId ?? null });
+        const result = {
+            type: 'command-result',
+            requestId: data.requestId ?? null,
+            command: data.type,
+            success: true,
+            code: null,
+            message: null,
+            messageCode: null,
+        };
+        try {
+            const output = await executeHostCommand(data);
+            if (output !== undefined) {
+                result.data = output;
+            }
+        } catch (err) {
+            log('host command failed', data.type, err);
+            recordDiagnostic('error', 'command-failed', { command: data.type, code: err?.code || 'internal-error' });
+            result.success = false;
+            result.code = err?.code || 'internal-error';
+            result.message = err?.message || String(err);
+            result.messageCode = err?.messageCode || null;
+        }
+        result.state = createStateSnapshot();
+        sendToHost(result);
+    }
+
     function handleHostMessage(event) {
         if (!event) {
             return;
@@ -628,38 +4062,185 @@
         if (!data || typeof data !== 'object') {
             return;
         }
-        switch (data.type) {
-            case 'join':
-                handleJoin(data);
-                break;
-            case 'accept':
-                handleAccept();
-                break;
-            case 'reject':
-                handleReject();
-                break;
-            case 'hangup':
-                handleHangup();
+        dispatchHostCommand(data).catch((err) => log('dispatchHostCommand error', err));
+    }
+
+    if (window.chrome && window.chrome.webview) {
+        window.chrome.webview.addEventListener('message', handleHostMessage);
+    } else if (window.addEventListener) {
+        // 没有宿主时只接受页面自己 postMessage 的命令，其他窗口发来的消息一律忽略。
+        window.addEventListener('message', (event) => {
+            if (event.source === window) {
+                handleHostMessage(event);
+            }
+        });
+    }
+
+    if (navigator.mediaDevices && typeof navigator.mediaDevices.addEventListener === 'function') {
+        navigator.mediaDevices.addEventListener('devicechange', handleDeviceChange);
+    }
+
+    const STANDALONE_STORAGE_KEY = 'call.standalone';
+    const STANDALONE_FIELDS = ['role', 'room', 'ws', 'token', 'locale'];
+    const STANDALONE_PERSISTED_FIELDS = ['role', 'room', 'ws', 'locale'];
+    const STANDALONE_BUSY_STATES = ['connecting', 'active', 'reconnecting'];
+
+    function hasEmbeddingHost() {
+        return !!(window.chrome && window.chrome.webview)
+            || !!(window.external && typeof window.external.notify === 'function');
+    }
+
+    // 配置优先取 URL 参数，其次是 localStorage。
+    function readStandaloneConfig() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(STANDALONE_STORAGE_KEY) || '{}') || {};
+        } catch (err) {
+            log('read standalone config failed', err);
+        }
+        const params = new URLSearchParams(location.search);
+        const config = { role: 'client', room: '', ws: '', token: '', locale: DEFAULT_LOCALE };
+        STANDALONE_PERSISTED_FIELDS.forEach((key) => {
+            if (params.has(key)) {
+                config[key] = params.get(key);
+            } else if (typeof saved[key] === 'string') {
+                config[key] = saved[key];
+            }
+        });
+        config.autoJoin = params.get('autojoin') === '1';
+        return config;
+    }
+
+    function setButtonLabel(button, messageCode) {
+        if (!button) {
+            return;
+        }
+        button.setAttribute('data-i18n', messageCode);
+        button.textContent = translate(messageCode);
+    }
+
+    function showStandalonePanel(visible) {
+        standalonePanel?.classList.toggle('hidden', !visible);
+    }
+
+    function runStandaloneCommand(type, extra = {}) {
+        dispatchHostCommand({ type, ...extra }).catch((err) => log('standalone command error', err));
+    }
+
+    function updateStandaloneControls() {
+        setButtonLabel(muteAudioButton, state.audioMuted ? 'standalone.unmute-audio' : 'standalone.mute-audio');
+        setButtonLabel(muteVideoButton, state.videoMuted ? 'standalone.unmute-video' : 'standalone.mute-video');
+        muteAudioButton?.classList.toggle('active', state.audioMuted);
+        muteVideoButton?.classList.toggle('active', state.videoMuted);
+        if (joinButton) {
+            joinButton.disabled = STANDALONE_BUSY_STATES.includes(state.callState);
+        }
+        const ringing = state.role === 'operator' && state.pendingQueue.length > 0 && !state.currentClientId;
+        incomingBanner?.classList.toggle('hidden', !ringing);
+        if (ringing && incomingText) {
+            incomingText.textContent = state.pendingQueue.length > 1
+                ? translate('queue.waiting-many', { count: state.pendingQueue.length })
+                : translate('queue.incoming');
+        }
+    }
+
+    function handleStandaloneMessage(payload) {
+        switch (payload?.type) {
+            case 'call-state': {
+                if (payload.state === 'ended' && state.role !== 'operator') {
+                    showStandalonePanel(true);
+                }
                 break;
-            case 'pause':
-                handlePause();
+            }
+            case 'alert': {
+                showStandalonePanel(true);
                 break;
-            case 'resume':
-                handleResume();
+            }
+            case 'command-result': {
+                if (!payload.success && payload.messageCode) {
+                    updateStatusBar(payload.messageCode);
+                }
                 break;
-            default:
-                log('unknown host command', data);
+            }
+            default: {
                 break;
+            }
         }
+        updateStandaloneControls();
     }
 
-    if (window.chrome && window.chrome.webview) {
-        window.chrome.webview.addEventListener('message', handleHostMessage);
-    } else if (window.addEventListener) {
-        window.addEventListener('message', handleHostMessage);
+    function submitStandaloneForm() {
+        if (STANDALONE_BUSY_STATES.includes(state.callState)) {
+            return;
+        }
+        const values = {};
+        STANDALONE_FIELDS.forEach((key) => {
+            values[key] = (standaloneForm.elements[key]?.value || '').trim();
+        });
+        const persisted = {};
+        STANDALONE_PERSISTED_FIELDS.forEach((key) => {
+            persisted[key] = values[key];
+        });
+        try {
+            localStorage.setItem(STANDALONE_STORAGE_KEY, JSON.stringify(persisted));
+        } catch (err) {
+            log('save standalone config failed', err);
+        }
+        showStandalonePanel(false);
+        callControls?.classList.remove('hidden');
+        runStandaloneCommand('join', { ...values, token: values.token || null });
+    }
+
+    function initStandalone() {
+        if (!standaloneForm) {
+            return;
+        }
+        state.standalone = true;
+        const config = readStandaloneConfig();
+        STANDALONE_FIELDS.forEach((key) => {
+            if (standaloneForm.elements[key]) {
+                standaloneForm.elements[key].value = config[key] || '';
+            }
+        });
+        state.locale = resolveLocale(config.locale);
+        applyPageLocale();
+        standaloneForm.addEventListener('submit', (evt) => {
+            evt.preventDefault();
+            submitStandaloneForm();
+        });
+        standaloneForm.elements.locale?.addEventListener('change', (evt) => {
+            state.locale = resolveLocale(evt.target.value);
+            applyPageLocale();
+            updateStandaloneControls();
+        });
+        document.getElementById('acceptButton')?.addEventListener('click', () => runStandaloneCommand('accept'));
+        document.getElementById('rejectButton')?.addEventListener('click', () => runStandaloneCommand('reject'));
+        document.getElementById('hangupButton')?.addEventListener('click', () => runStandaloneCommand('hangup'));
+        document.getElementById('settingsButton')?.addEventListener('click', () => showStandalonePanel(true));
+        muteAudioButton?.addEventListener('click', () => runStandaloneCommand(state.audioMuted ? 'unmute-audio' : 'mute-audio'));
+        muteVideoButton?.addEventListener('click', () => runStandaloneCommand(state.videoMuted ? 'unmute-video' : 'mute-video'));
+        updateStandaloneControls();
+        if (config.autoJoin && config.room && config.ws) {
+            submitStandaloneForm();
+            return;
+        }
+        showStandalonePanel(true);
+        updateStatusBar('standalone.fill-form');
+    }
+
+    if (!hasEmbeddingHost()) {
+        initStandalone();
     }
 
+    window.addEventListener('error', (evt) => {
+        recordDiagnostic('error', 'window-error', `${evt.message} (${evt.filename}:${evt.lineno})`);
+    });
+    window.addEventListener('unhandledrejection', (evt) => {
+        recordDiagnostic('error', 'unhandled-rejection', summarizeLogArg(evt.reason));
+    });
+
     window.addEventListener('unload', () => {
+        cancelReconnect();
         try {
             if (state.ws) {
                 state.expectingCloseSocket = state.ws;
@@ -0,0 +1,118 @@
+﻿using System;
+using System.Collections.Generic;
+using System.IO;
+
+namespace WpfVideoPet
+{
+    /// <summary>
+    /// 将通话页面分片上报的录制数据按序号拼接后写入本地文件。
+    /// </summary>
+    public sealed class CallRecordingWriter : IDisposable
+    {
+        private readonly string _directory; // 录制文件保存目录
+        private readonly Dictionary<string, RecordingFile> _recordings = new(); // 进行中的录制，按 recordingId 索引
+
+        public CallRecordingWriter(string directory)
+        {
+            _directory = string.IsNullOrWhiteSpace(directory)
+                ? throw new ArgumentException("录制目录不能为空。", nameof(directory))
+                : directory;
+        }
+
+        /// <summary>
+        /// 写入一个分片；序号不连续时先缓存，等前面的分片到齐后再按顺序落盘。
+        /// </summary>
+        public void AppendChunk(string recordingId, int sequence, string? mimeType, string base64Data)
+        {
+            var recording = GetOrCreate(recordingId, mimeType);
+            if (sequence < recording.NextSequence || recording.Pending.ContainsKey(sequence))
+            {
+                AppLogger.Warn($"收到重复的录制分片，已忽略: {recordingId} #{sequence}");
+                return;
+            }
+
+            recording.Pending[sequence] = Convert.FromBase64String(base64Data);
+            FlushInOrder(recording);
+        }
+
+        /// <summary>
+        /// 结束录制并关闭文件，返回文件路径；未知录制返回 null。
+        /// </summary>
+        public string? Complete(string recordingId, int expectedChunks)
+        {
+            if (!_recordings.Remove(recordingId, out var recording))
+            {
+                AppLogger.Warn($"收到未知录制的结束通知: {recordingId}");
+                return null;
+            }
+
+            FlushInOrder(recording);
+            if (recording.Pending.Count > 0 || recording.NextSequence != expectedChunks)
+            {
+                AppLogger.Warn($"录制分片不完整: {recordingId}，期望 {expectedChunks} 片，连续写入 {recording.NextSequence} 片，另有 {recording.Pending.Count} 片按序追加。");
+                foreach (var chunk in recording.Pending.Values)
+                {
+                    recording.Stream.Write(chunk);
+                }
+            }
+
+            recording.Stream.Dispose();
+            return recording.Path;
+        }
+
+        public void Dispose()
+        {
+            foreach (var recording in _recordings.Values)
+            {
+                AppLogger.Warn($"录制未收到结束通知即关闭: {recording.Path}");
+                recording.Stream.Dispose();
+            }
+
+            _recordings.Clear();
+        }
+
+        private RecordingFile GetOrCreate(string recordingId, string? mimeType)
+        {
+            if (_recordings.TryGetValue(recordingId, out var existing))
+            {
+                return existing;
+            }
+
+            Directory.CreateDirectory(_directory);
+            var extension = mimeType?.StartsWith("video/mp4", StringComparison.OrdinalIgnoreCase) == true ? ".mp4" : ".webm";
+            var safeId = string.Join("_", recordingId.Split(Path.GetInvalidFileNameChars()));
+            var path = Path.Combine(_directory, $"call-{DateTime.Now:yyyyMMdd-HHmmss}-{safeId}{extension}");
+            var recording = new RecordingFile(path, new FileStream(path, FileMode.Create, FileAccess.Write, FileShare.Read));
+            _recordings[recordingId] = recording;
+            AppLogger.Info($"开始写入通话录制文件: {path}");
+            return recording;
+        }
+
+        private static void FlushInOrder(RecordingFile recording)
+        {
+            while (recording.Pending.TryGetValue(recording.NextSequence, out var chunk))
+            {
+                recording.Pending.Remove(recording.NextSequence);
+                recording.Stream.Write(chunk);
+                recording.NextSequence++;
+            }
+        }
+
+        private sealed class RecordingFile
+        {
+            public RecordingFile(string path, FileStream stream)
+            {
+                Path = path;
+                Stream = stream;
+            }
+
+            public string Path { get; } // 录制文件路径
+
+            public FileStream Stream { get; } // 文件写入流
+
+            public int NextSequence { get; set; } // 下一个待写入的分片序号
+
+            public SortedDictionary<int, byte[]> Pending { get; } = new(); // 暂未连续的分片
+        }
+    }
+}
@@ -8,6 +8,7 @@ using System.IO;
 using System.Net.Http;
 using System.Security.Cryptography;
 using System.Text;
+using System.Text.Json;
 using System.Threading;
 using System.Threading.Tasks;
 using System.Windows;
@@ -2788,6 +2789,7 @@ namespace WpfVideoPet
                 : new VideoCallWindow(); // 需要显示的视频通话窗口
             videoCallWindow.Owner = this;
             _videoCallWindow = videoCallWindow;
+            _videoCallWindow.RemoteCommandReceived += OnVideoCallRemoteCommandReceived;
 
             _videoCallWindow.Closed += (_, _) =>
             {
@@ -2799,6 +2801,103 @@ namespace WpfVideoPet
             _videoCallWindow.Show();
         }
 
+        /// <summary>
+        /// 执行坐席在通话中下发的远程命令，复用报警播放、音量控制与 PLC 写入逻辑，并把结果回报给坐席。
+        /// </summary>
+        /// <param name="sender">触发事件的视频通话窗口。</param>
+        /// <param name="e">已通过白名单的远程命令。</param>
+        private async void OnVideoCallRemoteCommandReceived(object? sender, RemoteCommandReceivedEventArgs e)
+        {
+            if (sender is not VideoCallWindow window)
+            {
+                return;
+            }
+
+            AppLogger.Info($"执行远程命令: {e.Name} ({e.Id})，参数: {e.Args?.GetRawText() ?? "无"}");
+            try
+            {
+                switch (e.Name)
+                {
+                    case "alarm-loop":
+                    {
+                        var seconds = Math.Max(ReadRemoteCommandInt(e.Args, "durationSeconds") ?? _appConfig.MqttAlarm.DefaultDurationSeconds, 1);
+                        StartAlarmLoop(TimeSpan.FromSeconds(seconds));
+                        window.SendRemoteCommandResult(e.Id, true, new { durationSeconds = seconds });
+                        break;
+                    }
+                    case "set-volume":
+                    {
+                        var volume = ReadRemoteCommandInt(e.Args, "volume");
+                        if (!volume.HasValue)
+                        {
+                            window.SendRemoteCommandResult(e.Id, false, code: "invalid-args", error: "缺少 volume 参数");
+                            break;
+                        }
+
+                        var clamped = Math.Clamp(volume.Value, 0, 100);
+                        SetPlayerVolume(clamped);
+                        window.SendRemoteCommandResult(e.Id, true, new { volume = clamped });
+                        break;
+                    }
+                    case "plc-write":
+                    {
+                        var bit = ReadRemoteCommandInt(e.Args, "bit");
+                        bool? value = e.Args is { ValueKind: JsonValueKind.Object } args
+                            && args.TryGetProperty("value", out var valueElement)
+                            && valueElement.ValueKind is JsonValueKind.True or JsonValueKind.False
+                                ? valueElement.GetBoolean()
+                                : null;
+                        if (!bit.HasValue || !value.HasValue)
+                        {
+                            window.SendRemoteCommandResult(e.Id, false, code: "invalid-args", error: "需要 bit 与 value 参数");
+                            break;
+                        }
+
+                        if (_plcService == null)
+                        {
+                            window.SendRemoteCommandResult(e.Id, false, code: "plc-unavailable", error: "PLC 服务未启用");
+                            break;
+                        }
+
+                        await _plcService.WriteControlBitAsync(bit.Value, value.Value);
+                        window.SendRemoteCommandResult(e.Id, true, new { bit = bit.Value, value = value.Value });
+                        break;
+                    }
+                    default:
+                        window.SendRemoteCommandResult(e.Id, false, code: "not-supported");
+                        break;
+                }
+            }
+            catch (Exception ex)
+            {
+                AppLogger.Error(ex, $"执行远程命令失败: {e.Name} ({e.Id})");
+                window.SendRemoteCommandResult(e.Id, false, code: "failed", error: ex.Message);
+            }
+        }
+
+        /// <summary>
+        /// 从远程命令参数对象中读取整数字段，兼容数字与字符串数字。
+        /// </summary>
+        private static int? ReadRemoteCommandInt(JsonElement? args, string name)
+        {
+            if (args is not { ValueKind: JsonValueKind.Object } element || !element.TryGetProperty(name, out var property))
+            {
+                return null;
+            }
+
+            if (property.ValueKind == JsonValueKind.Number && property.TryGetInt32(out var number))
+            {
+                return number;
+            }
+
+            if (property.ValueKind == JsonValueKind.String && int.TryParse(property.GetString(), out var textNumber))
+            {
+                return textNumber;
+            }
+
+            return null;
+        }
+
         /// <summary>
         /// 急停恢复时关闭视频通话窗口，确保释放资源并不影响下一次打开。
         /// </summary>
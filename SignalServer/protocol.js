@@ -0,0 +1,176 @@
+'use strict';
+
+// call.js 信令协议的机器可读描述，服务器用它校验入站消息，联调时也可以拿来校验双方收发的报文。
+// 字段类型写法：'string' 必填；'string?' 可缺省或为 null；'any' 不限类型。
+
+const ROLES = ['operator', 'client'];
+
+// 客户端 → 服务器。除 join 外统一为 { type, room, payload? }，room 只作参考，路由以 join 时的房间为准。
+const INBOUND_MESSAGES = {
+    join: {
+        from: ROLES,
+        fields: { room: 'string', role: 'string', token: 'string?' },
+        description: '加入房间；坐席需要携带 token（服务器配置了坐席凭证时）。',
+    },
+    accept: {
+        from: ['operator'],
+        payload: { clientId: 'string' },
+        description: '坐席接听排队中的访客。',
+    },
+    reject: {
+        from: ['operator'],
+        payload: { clientId: 'string' },
+        description: '坐席拒绝排队中的访客。',
+    },
+    bye: {
+        from: ROLES,
+        payload: { clientId: 'string?' },
+        payloadOptional: true,
+        description: '挂断。坐席需指明访客 id，缺省时挂断当前通话；访客在排队中挂断视为取消呼叫。',
+    },
+    offer: {
+        from: ROLES,
+        relay: true,
+        payload: { type: 'string', sdp: 'string', clientId: 'string?' },
+        description: 'SDP Offer，转发给通话对端。',
+    },
+    answer: {
+        from: ROLES,
+        relay: true,
+        payload: { type: 'string', sdp: 'string', clientId: 'string?' },
+        description: 'SDP Answer，转发给通话对端。',
+    },
+    candidate: {
+        from: ROLES,
+        relay: true,
+        payload: { candidate: 'string', sdpMid: 'string?', sdpMLineIndex: 'number?', usernameFragment: 'string?', clientId: 'string?' },
+        description: 'ICE 候选（RTCIceCandidate.toJSON() 的结果），转发给通话对端。',
+    },
+    'mute-state': {
+        from: ROLES,
+        relay: true,
+        payload: { audio: 'boolean', video: 'boolean', clientId: 'string?' },
+        description: '本端静音状态，转发给通话对端。',
+    },
+    'media-mode': {
+        from: ROLES,
+        relay: true,
+        payload: { mode: 'string', clientId: 'string?' },
+        description: '本端实际采集模式（audio-video / audio-only / receive-only），转发给通话对端。',
+    },
+    'screen-share': {
+        from: ROLES,
+        relay: true,
+        payload: { active: 'boolean', clientId: 'string?' },
+        description: '屏幕共享开关，转发给通话对端。',
+    },
+    ping: {
+        from: ROLES,
+        payload: { id: 'any', ts: 'number?' },
+        payloadOptional: true,
+        description: '应用层心跳，服务器原样回 pong。',
+    },
+    pong: {
+        from: ROLES,
+        payloadOptional: true,
+        description: '对服务器 ping 的应答，服务器忽略。',
+    },
+};
+
+// 服务器 → 客户端。统一为 { type, clientId?, payload? }，to 表示接收方角色。
+const OUTBOUND_MESSAGES = {
+    joined: { to: ROLES, fields: { clientId: 'string' }, description: '加入成功，clientId 为本连接在房间内的 id。' },
+    incoming: { to: ['operator'], fields: { clientId: 'string' }, description: '有访客呼入并进入排队。' },
+    'incoming-cancelled': { to: ['operator'], fields: { clientId: 'string' }, description: '排队中的访客取消了呼叫或已离线。' },
+    start: { to: ROLES, fields: { clientId: 'string?' }, description: '坐席已接听；发给坐席时带上访客 id，访客收到后发起 Offer。' },
+    reject: { to: ['client'], description: '坐席拒绝了本次呼叫。' },
+    busy: { to: ['client'], description: '排队人数已满。' },
+    'no-operator': { to: ['client'], description: '访客加入时房间内没有坐席。' },
+    'operator-offline': { to: ['client'], description: '排队或通话中坐席离线。' },
+    'client-ended': { to: ['operator'], fields: { clientId: 'string' }, description: '通话中的访客连接断开（未发送 bye）。' },
+    bye: { to: ROLES, fields: { clientId: 'string?' }, description: '对端挂断；发给坐席时带上访客 id。' },
+    unauthorized: { to: ['operator'], description: '坐席凭证校验失败，随后服务器关闭连接。' },
+    'operator-exists': { to: ['operator'], description: '房间内已有在线坐席，随后服务器关闭连接。' },
+    pong: { to: ROLES, fields: { payload: 'any?' }, description: '对 ping 的应答，payload 原样返回。' },
+    error: { to: ROLES, fields: { payload: 'object' }, description: '请求无法处理，payload 为 { code, message }，不影响连接。' },
+};
+
+function matchesType(value, spec) {
+    const optional = spec.endsWith('?');
+    const type = optional ? spec.slice(0, -1) : spec;
+    if (value === undefined || value === null) {
+        return optional;
+    }
+    if (type === 'any') {
+        return true;
+    }
+    if (type === 'object') {
+        return typeof value === 'object' && !Array.isArray(value);
+    }
+    return typeof value === type;
+}
+
+function checkFields(source, fields, label) {
+    for (const [name, spec] of Object.entries(fields || {})) {
+        if (!matchesType(source?.[name], spec)) {
+            return `${label}.${name} 应为 ${spec}`;
+        }
+    }
+    return null;
+}
+
+// 校验客户端发来的消息，role 为发送方在 join 时声明的角色（join 本身传 null）。返回错误描述，合法时返回 null。
+function validateInbound(message, role) {
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+        return '消息必须是带 type 字段的 JSON 对象';
+    }
+    const schema = INBOUND_MESSAGES[message.type];
+    if (!schema) {
+        return `未知的消息类型：${message.type}`;
+    }
+    if (message.type === 'join') {
+        if (!ROLES.includes(message.role)) {
+            return 'role 只能是 operator 或 client';
+        }
+    } else if (!schema.from.includes(role)) {
+        return `${role} 不能发送 ${message.type}`;
+    }
+    const fieldError = checkFields(message, schema.fields, message.type);
+    if (fieldError) {
+        return fieldError;
+    }
+    if (!schema.payload && !schema.payloadOptional) {
+        return null;
+    }
+    if (message.payload === undefined || message.payload === null) {
+        return schema.payloadOptional ? null : `${message.type} 缺少 payload`;
+    }
+    if (typeof message.payload !== 'object') {
+        return `${message.type}.payload 应为对象`;
+    }
+    return checkFields(message.payload, schema.payload, `${message.type}.payload`);
+}
+
+// 校验服务器下发的消息，role 为接收方角色，供联调脚本核对服务器实现。
+function validateOutbound(message, role) {
+    if (!message || typeof message.type !== 'string') {
+        return '消息必须是带 type 字段的 JSON 对象';
+    }
+    const schema = OUTBOUND_MESSAGES[message.type];
+    if (!schema) {
+        const relay = INBOUND_MESSAGES[message.type];
+        return relay?.relay ? null : `未知的消息类型：${message.type}`;
+    }
+    if (!schema.to.includes(role)) {
+        return `${role} 不应收到 ${message.type}`;
+    }
+    return checkFields(message, schema.fields, message.type);
+}
+
+module.exports = {
+    ROLES,
+    INBOUND_MESSAGES,
+    OUTBOUND_MESSAGES,
+    validateInbound,
+    validateOutbound,
+};
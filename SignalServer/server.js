@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+'use strict';
+
+// call.js 的参考信令服务器：按房间管理一个坐席和若干访客，负责呼叫排队、接听/拒绝以及 SDP/ICE 转发。
+// 协议细节见 protocol.js 与 README.md。
+
+const { randomUUID } = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+const { INBOUND_MESSAGES, validateInbound } = require('./protocol');
+
+const DEFAULT_OPTIONS = {
+    port: 8080,
+    host: '0.0.0.0',
+    operatorToken: null,
+    roomTokens: {},
+    maxWaiting: 5,
+    livenessIntervalMs: 30000,
+};
+
+// 自定义关闭码，便于在页面日志里区分服务器主动断开的原因
+const CLOSE_CODES = {
+    unauthorized: 4001,
+    operatorExists: 4002,
+};
+
+function log(...args) {
+    console.log(new Date().toISOString(), '[signal]', ...args);
+}
+
+function createSignalServer(options = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+    const rooms = new Map();
+
+    function getRoom(name) {
+        let room = rooms.get(name);
+        if (!room) {
+            room = { name, operator: null, clients: new Map(), waiting: [], activeClientId: null };
+            rooms.set(name, room);
+        }
+        return room;
+    }
+
+    function releaseRoom(room) {
+        if (!room.operator && room.clients.size === 0) {
+            rooms.delete(room.name);
+        }
+    }
+
+    function send(session, message) {
+        if (session?.ws.readyState === WebSocket.OPEN) {
+            session.ws.send(JSON.stringify(message));
+        }
+    }
+
+    function sendError(session, code, message) {
+        send(session, { type: 'error', payload: { code, message } });
+    }
+
+    function expectedToken(roomName) {
+        return config.roomTokens[roomName] ?? config.operatorToken ?? null;
+    }
+
+    function removeWaiting(room, clientId) {
+        const index = room.waiting.indexOf(clientId);
+        if (index < 0) {
+            return false;
+        }
+        room.waiting.splice(index, 1);
+        return true;
+    }
+
+    function handleJoin(session, message) {
+        if (session.room) {
+            sendError(session, 'already-joined', '当前连接已加入房间');
+            return;
+        }
+        const room = getRoom(message.room);
+        if (message.role === 'operator') {
+            const token = expectedToken(room.name);
+            if (token && message.token !== token) {
+                log('operator unauthorized', room.name, session.id);
+                send(session, { type: 'unauthorized' });
+                session.ws.close(CLOSE_CODES.unauthorized, 'unauthorized');
+                releaseRoom(room);
+                return;
+            }
+            if (room.operator) {
+                log('operator exists', room.name, session.id);
+                send(session, { type: 'operator-exists' });
+                session.ws.close(CLOSE_CODES.operatorExists, 'operator-exists');
+                return;
+            }
+            session.role = 'operator';
+            session.room = room;
+            room.operator = session;
+            log('operator joined', room.name, session.id);
+            send(session, { type: 'joined', clientId: session.id });
+            return;
+        }
+
+        session.role = 'client';
+        session.room = room;
+        room.clients.set(session.id, session);
+        log('client joined', room.name, session.id);
+        send(session, { type: 'joined', clientId: session.id });
+        if (!room.operator) {
+            send(session, { type: 'no-operator' });
+            return;
+        }
+        if (room.waiting.length >= config.maxWaiting) {
+            send(session, { type: 'busy' });
+            return;
+        }
+        room.waiting.push(session.id);
+        send(room.operator, { type: 'incoming', clientId: session.id });
+    }
+
+    function handleAccept(session, payload) {
+        const room = session.room;
+        if (room.activeClientId) {
+            sendError(session, 'operator-in-call', '请先结束当前通话');
+            return;
+        }
+        if (!removeWaiting(room, payload.clientId)) {
+            sendError(session, 'client-not-waiting', '该访客不在排队中');
+            return;
+        }
+        room.activeClientId = payload.clientId;
+        log('call started', room.name, payload.clientId);
+        send(room.clients.get(payload.clientId), { type: 'start' });
+        send(session, { type: 'start', clientId: payload.clientId });
+    }
+
+    function handleReject(session, payload) {
+        const room = session.room;
+        if (!removeWaiting(room, payload.clientId)) {
+            sendError(session, 'client-not-waiting', '该访客不在排队中');
+            return;
+        }
+        send(room.clients.get(payload.clientId), { type: 'reject' });
+    }
+
+    function handleBye(session, payload) {
+        const room = session.room;
+        if (session.role === 'operator') {
+            const clientId = payload?.clientId || room.activeClientId;
+            if (!clientId) {
+                return;
+            }
+            if (clientId === room.activeClientId) {
+                room.activeClientId = null;
+                log('call ended by operator', room.name, clientId);
+            } else {
+                removeWaiting(room, clientId);
+            }
+            send(room.clients.get(clientId), { type: 'bye' });
+            return;
+        }
+        if (room.activeClientId === session.id) {
+            room.activeClientId = null;
+            log('call ended by client', room.name, session.id);
+            send(room.operator, { type: 'bye', clientId: session.id });
+        } else if (removeWaiting(room, session.id)) {
+            send(room.operator, { type: 'incoming-cancelled', clientId: session.id });
+        }
+    }
+
+    // 只在坐席与当前通话中的访客之间转发，排队中的访客发来的媒体协商消息直接丢弃。
+    function relay(session, message) {
+        const room = session.room;
+        if (session.role === 'operator') {
+            const clientId = message.payload?.clientId || room.activeClientId;
+            if (!clientId || clientId !== room.activeClientId) {
+                return;
+            }
+            send(room.clients.get(clientId), { type: message.type, payload: message.payload });
+            return;
+        }
+        if (room.activeClientId !== session.id) {
+            return;
+        }
+        send(room.operator, { type: message.type, clientId: session.id, payload: message.payload });
+    }
+
+    function handleMessage(session, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (err) {
+            sendError(session, 'invalid-json', '消息不是合法的 JSON');
+            return;
+        }
+        if (message?.type !== 'join' && !session.room) {
+            sendError(session, 'not-joined', '请先发送 join');
+            return;
+        }
+        const invalid = validateInbound(message, session.role);
+        if (invalid) {
+            log('invalid message', session.id, invalid);
+            sendError(session, 'invalid-message', invalid);
+            return;
+        }
+
+        switch (message.type) {
+            case 'join': {
+                handleJoin(session, message);
+                break;
+            }
+            case 'accept': {
+                handleAccept(session, message.payload);
+                break;
+            }
+            case 'reject': {
+                handleReject(session, message.payload);
+                break;
+            }
+            case 'bye': {
+                handleBye(session, message.payload);
+                break;
+            }
+            case 'ping': {
+                send(session, { type: 'pong', payload: message.payload });
+                break;
+            }
+            case 'pong': {
+                break;
+            }
+            default: {
+                if (INBOUND_MESSAGES[message.type].relay) {
+                    relay(session, message);
+                }
+                break;
+            }
+        }
+    }
+
+    function handleClose(session) {
+        const room = session.room;
+        if (!room) {
+            return;
+        }
+        session.room = null;
+        if (session.role === 'operator') {
+            if (room.operator !== session) {
+                return;
+            }
+            log('operator left', room.name, session.id);
+            room.operator = null;
+            const affected = room.activeClientId ? [room.activeClientId, ...room.waiting] : room.waiting;
+            affected.forEach((clientId) => send(room.clients.get(clientId), { type: 'operator-offline' }));
+            room.waiting = [];
+            room.activeClientId = null;
+        } else {
+            log('client left', room.name, session.id);
+            room.clients.delete(session.id);
+            if (room.activeClientId === session.id) {
+                room.activeClientId = null;
+                send(room.operator, { type: 'client-ended', clientId: session.id });
+            } else if (removeWaiting(room, session.id)) {
+                send(room.operator, { type: 'incoming-cancelled', clientId: session.id });
+            }
+        }
+        releaseRoom(room);
+    }
+
+    const wss = new WebSocketServer({ port: config.port, host: config.host });
+
+    wss.on('connection', (ws, request) => {
+        const session = { id: randomUUID(), ws, role: null, room: null };
+        log('connection', session.id, request.socket.remoteAddress);
+        ws.isAlive = true;
+        ws.on('pong', () => {
+            ws.isAlive = true;
+        });
+        ws.on('message', (data) => handleMessage(session, data.toString()));
+        ws.on('close', () => handleClose(session));
+        ws.on('error', (err) => log('socket error', session.id, err.message));
+    });
+
+    // 协议层 ping 清理已经失联但未触发 close 的连接，保证坐席离线、访客掉线能及时通知到对端。
+    const livenessTimer = setInterval(() => {
+        wss.clients.forEach((ws) => {
+            if (ws.isAlive === false) {
+                ws.terminate();
+                return;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        });
+    }, config.livenessIntervalMs);
+
+    return {
+        wss,
+        rooms,
+        close(callback) {
+            clearInterval(livenessTimer);
+            wss.clients.forEach((ws) => ws.terminate());
+            wss.close(callback);
+        },
+    };
+}
+
+function readOptionsFromEnv(env) {
+    const options = {};
+    if (env.SIGNAL_PORT) {
+        options.port = Number(env.SIGNAL_PORT);
+    }
+    if (env.SIGNAL_HOST) {
+        options.host = env.SIGNAL_HOST;
+    }
+    if (env.OPERATOR_TOKEN) {
+        options.operatorToken = env.OPERATOR_TOKEN;
+    }
+    if (env.ROOM_TOKENS) {
+        options.roomTokens = JSON.parse(env.ROOM_TOKENS);
+    }
+    if (env.MAX_WAITING) {
+        options.maxWaiting = Number(env.MAX_WAITING);
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const server = createSignalServer(readOptionsFromEnv(process.env));
+    server.wss.on('listening', () => {
+        const { address, port } = server.wss.address();
+        log(`listening on ws://${address}:${port}`);
+    });
+    const shutdown = () => server.close(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+module.exports = { createSignalServer, DEFAULT_OPTIONS, CLOSE_CODES };
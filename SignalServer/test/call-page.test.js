@@ -0,0 +1,200 @@
+'use strict';
+
+// call.js 中不依赖界面的逻辑：ICE 服务器整理、重连退避、断线重连后再次接听、信令脱敏、远程命令白名单。
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { WebSocketServer } = require('ws');
+const { loadCallPage } = require('./load-call-page');
+
+// vm 里创建的对象属于另一个 realm，转成普通 JSON 后再比较
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function flush() {
+    return new Promise((resolve) => setImmediate(resolve));
+}
+
+test('normalizeIceServers accepts strings, url/urls and drops expired credentials', () => {
+    const page = loadCallPage();
+    const now = Date.now();
+    const servers = page.hooks.normalizeIceServers([
+        'stun:stun.example.com:3478',
+        { url: 'turn:legacy.example.com', username: 'u', credential: 'p' },
+        { urls: ['turn:a.example.com', 'turns:a.example.com'], username: 'u', credential: 'p', expiresAt: now + 60000 },
+        { urls: 'turn:old.example.com', username: 'u', credential: 'p', expiresAt: new Date(now - 1000).toISOString() },
+        { urls: 'turn:older.example.com', credentialExpiresAt: now - 1 },
+        { urls: [] },
+        null,
+    ]);
+    assert.deepEqual(plain(servers), [
+        { urls: 'stun:stun.example.com:3478' },
+        { urls: 'turn:legacy.example.com', username: 'u', credential: 'p' },
+        { urls: ['turn:a.example.com', 'turns:a.example.com'], username: 'u', credential: 'p' },
+    ]);
+    const warnings = page.hostMessages.filter((message) => message.type === 'ice-warning');
+    assert.deepEqual(warnings.map((message) => message.urls), ['turn:old.example.com', 'turn:older.example.com']);
+    assert.equal(page.hooks.normalizeIceServers('stun:not-a-list'), null);
+});
+
+test('an empty or fully expired ICE list falls back to the default STUN server', () => {
+    const page = loadCallPage();
+    page.hooks.applyIceConfig({ iceServers: [] });
+    assert.deepEqual(plain(page.hooks.state.iceServers), [{ urls: 'stun:stun.l.google.com:19302' }]);
+    page.hooks.applyIceConfig({ iceServers: [{ urls: 'turn:old.example.com', expiresAt: 1 }] });
+    assert.deepEqual(plain(page.hooks.state.iceServers), [{ urls: 'stun:stun.l.google.com:19302' }]);
+    page.hooks.applyIceConfig({ iceServers: ['turn:t.example.com'] });
+    assert.deepEqual(plain(page.hooks.state.iceServers), [{ urls: 'turn:t.example.com' }]);
+});
+
+test('computeReconnectDelay doubles per attempt, caps at maxDelayMs and jitters within [delay/2, delay]', () => {
+    const page = loadCallPage();
+    page.hooks.state.reconnect = { ...page.hooks.state.reconnect, baseDelayMs: 1000, maxDelayMs: 8000 };
+
+    page.evaluate('Math.random = () => 0');
+    assert.deepEqual([1, 2, 3, 4, 5, 9].map(page.hooks.computeReconnectDelay), [500, 1000, 2000, 4000, 4000, 4000]);
+
+    page.evaluate('Math.random = () => 0.999999');
+    assert.deepEqual([1, 2, 3, 4, 5, 9].map(page.hooks.computeReconnectDelay), [1000, 2000, 4000, 8000, 8000, 8000]);
+});
+
+// 页面收到信令是异步的，轮询到宿主侧出现对应消息为止
+async function waitForHostMessage(page, predicate) {
+    while (!page.hostMessages.some(predicate)) {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+}
+
+// 页面发出的下一条指定类型的信令
+function nextSignal(ws, type) {
+    return new Promise((resolve) => {
+        ws.on('message', function listener(data) {
+            const message = JSON.parse(data.toString());
+            if (message.type === type) {
+                ws.off('message', listener);
+                resolve(message);
+            }
+        });
+    });
+}
+
+test('after the signaling socket drops mid-accept, the reconnected operator can ring and accept again', { timeout: 10000 }, async (t) => {
+    const wss = new WebSocketServer({ port: 0 });
+    await once(wss, 'listening');
+    t.after(() => {
+        wss.clients.forEach((client) => client.terminate());
+        return new Promise((resolve) => wss.close(resolve));
+    });
+    const page = loadCallPage();
+    const operatorStates = () => page.hostMessages.filter((message) => message.type === 'operator-state').map((message) => message.state);
+    const commandResult = (requestId) => page.hostMessages.find((message) => message.type === 'command-result' && message.requestId === requestId);
+
+    let connected = once(wss, 'connection');
+    page.sendFromHost({
+        type: 'join',
+        role: 'operator',
+        room: 'lobby',
+        ws: `ws://127.0.0.1:${wss.address().port}`,
+        reconnect: { baseDelayMs: 100, maxDelayMs: 100 },
+    });
+    const [first] = await connected;
+    await nextSignal(first, 'join');
+    first.send(JSON.stringify({ type: 'joined' }));
+    first.send(JSON.stringify({ type: 'incoming', clientId: 'c1' }));
+    const firstAccept = nextSignal(first, 'accept');
+    await waitForHostMessage(page, (message) => message.type === 'queue-updated' && message.clientId === 'c1');
+    page.sendFromHost({ type: 'accept', requestId: 'a1', clientId: 'c1' });
+    assert.equal((await firstAccept).payload.clientId, 'c1');
+
+    connected = once(wss, 'connection');
+    first.terminate();
+    const [second] = await connected;
+    await nextSignal(second, 'join');
+    second.send(JSON.stringify({ type: 'joined' }));
+    second.send(JSON.stringify({ type: 'incoming', clientId: 'c2' }));
+    const secondAccept = nextSignal(second, 'accept');
+    await waitForHostMessage(page, (message) => message.type === 'queue-updated' && message.clientId === 'c2');
+    assert.equal(operatorStates().at(-1), 'ringing');
+
+    page.sendFromHost({ type: 'accept', requestId: 'a2', clientId: 'c2' });
+    assert.equal((await secondAccept).payload.clientId, 'c2');
+    assert.equal(commandResult('a2').success, true);
+});
+
+test('redactSignal masks the token and keeps only summaries of SDP and candidates', () => {
+    const page = loadCallPage();
+    const sdp = 'v=0\r\no=- 1 2 IN IP4 192.168.1.20\r\nm=audio 9 UDP/TLS/RTP/SAVPF 111\r\nm=video 9 UDP/TLS/RTP/SAVPF 96\r\n';
+    assert.deepEqual(plain(page.hooks.redactSignal({ type: 'join', room: 'lobby', role: 'operator', token: 'secret' })), {
+        type: 'join',
+        room: 'lobby',
+        role: 'operator',
+        token: '***',
+    });
+    assert.deepEqual(plain(page.hooks.redactSignal({ type: 'offer', payload: { type: 'offer', sdp } })), {
+        type: 'offer',
+        payload: { type: 'offer', sdp: { length: sdp.length, media: ['audio', 'video'] } },
+    });
+    const candidate = { candidate: 'candidate:1 1 UDP 2122260223 192.168.1.20 50000 typ host', sdpMid: '0', sdpMLineIndex: 0 };
+    const redacted = plain(page.hooks.redactSignal({ type: 'candidate', clientId: 'c1', payload: candidate }));
+    assert.deepEqual(redacted, { type: 'candidate', clientId: 'c1', payload: { type: 'host', protocol: 'udp', sdpMid: '0' } });
+    assert.ok(!JSON.stringify(redacted).includes('192.168.1.20'));
+    assert.ok(candidate.candidate.includes('192.168.1.20'), '原消息不应被修改');
+});
+
+function setupVisitor(allow) {
+    const page = loadCallPage();
+    const channelMessages = [];
+    page.hooks.state.role = 'client';
+    page.hooks.state.dataChannel = { readyState: 'open', send: (json) => channelMessages.push(JSON.parse(json)) };
+    page.hooks.applyRemoteCommandConfig({ remoteCommands: { allow } });
+    const receive = (message) => page.hooks.handleDataChannelMessage(JSON.stringify({ kind: 'remote-command', ...message }));
+    return { page, channelMessages, receive };
+}
+
+test('visitor forwards only allowlisted remote commands to the host', () => {
+    const { page, channelMessages, receive } = setupVisitor([' alarm-loop ', 'set-volume', '', 42]);
+    assert.deepEqual(plain(page.hooks.state.remoteCommands.allow), ['alarm-loop', 'set-volume']);
+
+    receive({ id: 'r1', name: 'set-volume', args: { volume: 30 } });
+    receive({ id: 'r2', name: 'plc-write', args: { bit: 1, value: true } });
+    receive({ name: 'alarm-loop' });
+
+    assert.deepEqual(page.hostMessages.filter((message) => message.type === 'remote-command-received'), [
+        { type: 'remote-command-received', id: 'r1', name: 'set-volume', args: { volume: 30 } },
+    ]);
+    assert.deepEqual(channelMessages, [{ kind: 'remote-command-result', id: 'r2', success: false, code: 'not-allowed' }]);
+});
+
+test('remote commands are rejected by default and never run on the operator side', () => {
+    const visitor = setupVisitor(undefined);
+    visitor.receive({ id: 'r1', name: 'alarm-loop' });
+    assert.equal(visitor.channelMessages[0].code, 'not-allowed');
+
+    const operator = setupVisitor(['alarm-loop']);
+    operator.page.hooks.state.role = 'operator';
+    operator.receive({ id: 'r1', name: 'alarm-loop' });
+    assert.equal(operator.channelMessages[0].code, 'not-allowed');
+    assert.equal(operator.page.hostMessages.some((message) => message.type === 'remote-command-received'), false);
+});
+
+test('the host result is relayed once and a repeated result for the same id is refused', async () => {
+    const { page, channelMessages, receive } = setupVisitor(['alarm-loop']);
+    receive({ id: 'r1', name: 'alarm-loop', args: { durationSeconds: 5 } });
+
+    page.sendFromHost({ type: 'remote-command-result', requestId: 'q1', id: 'r1', success: true, result: { played: true } });
+    await flush();
+    assert.deepEqual(channelMessages, [
+        { kind: 'remote-command-result', id: 'r1', success: true, code: null, result: { played: true }, error: null },
+    ]);
+
+    page.sendFromHost({ type: 'remote-command-result', requestId: 'q2', id: 'r1', success: true });
+    await flush();
+    const replies = page.hostMessages.filter((message) => message.type === 'command-result');
+    assert.deepEqual(replies.map((reply) => [reply.requestId, reply.success, reply.code]), [
+        ['q1', true, null],
+        ['q2', false, 'unknown-remote-command'],
+    ]);
+    assert.equal(channelMessages.length, 1);
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+// 在 vm 中加载 Assets/call.js，模拟 WebView2 宿主；页面本身不导出任何东西，加载时在 IIFE 末尾补一行把下列内部函数挂到全局。
+// 页面元素只是能读写属性的空壳，只适合测试不依赖界面的逻辑。
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { WebSocket } = require('ws');
+
+const CALL_PAGE_PATH = path.join(__dirname, '..', '..', 'Assets', 'call.js');
+
+const EXPOSED_NAMES = [
+    'encodeRemainingLength',
+    'buildMqttConnect',
+    'buildMqttPublish',
+    'buildMqttSubscribe',
+    'parseMqttPackets',
+    'createMqttSignalTransport',
+    'createSignalTransport',
+    'state',
+    'normalizeIceServers',
+    'applyIceConfig',
+    'computeReconnectDelay',
+    'redactSignal',
+    'applyRemoteCommandConfig',
+    'handleDataChannelMessage',
+];
+
+function instrumentSource(source) {
+    const end = source.lastIndexOf('})();');
+    if (end < 0) {
+        throw new Error('call.js 不再是单个 IIFE，需要同步修改测试加载方式');
+    }
+    return `${source.slice(0, end)}globalThis.__callPageInternals = { ${EXPOSED_NAMES.join(', ')} };\n${source.slice(end)}`;
+}
+
+// Node 20 没有全局 CloseEvent，按浏览器字段补一个
+class CloseEvent extends Event {
+    constructor(type, init = {}) {
+        super(type);
+        this.code = init.code ?? 0;
+        this.reason = init.reason ?? '';
+        this.wasClean = init.wasClean ?? false;
+    }
+}
+
+// 页面加载时就会创建远端 MediaStream，这里只需要轨道列表的最小实现
+class MediaStream {
+    constructor(tracks = []) {
+        this.tracks = [...tracks];
+    }
+
+    getTracks() {
+        return [...this.tracks];
+    }
+
+    getAudioTracks() {
+        return this.tracks.filter((track) => track.kind === 'audio');
+    }
+
+    getVideoTracks() {
+        return this.tracks.filter((track) => track.kind === 'video');
+    }
+
+    addTrack(track) {
+        this.tracks.push(track);
+    }
+
+    removeTrack(track) {
+        this.tracks = this.tracks.filter((item) => item !== track);
+    }
+}
+
+// 页面里的重连、排队超时等定时器不应拖住测试进程退出
+function unrefTimer(schedule) {
+    return (...args) => {
+        const timer = schedule(...args);
+        timer.unref();
+        return timer;
+    };
+}
+
+function createElement(id) {
+    const element = new EventTarget();
+    const classes = new Set();
+    return Object.assign(element, {
+        id,
+        style: {},
+        dataset: {},
+        textContent: '',
+        value: '',
+        classList: {
+            add: (...names) => names.forEach((name) => classes.add(name)),
+            remove: (...names) => names.forEach((name) => classes.delete(name)),
+            toggle: (name, force = !classes.has(name)) => (force ? classes.add(name) : classes.delete(name), force),
+            contains: (name) => classes.has(name),
+        },
+        setAttribute() {},
+        removeAttribute() {},
+        appendChild() {},
+        querySelector: () => null,
+        querySelectorAll: () => [],
+    });
+}
+
+function loadCallPage() {
+    const hostMessages = [];
+    const webview = new EventTarget();
+    webview.postMessage = (json) => hostMessages.push(JSON.parse(json));
+    const windowEvents = new EventTarget();
+    const storage = new Map();
+    const elements = new Map();
+    const sandbox = {
+        chrome: { webview },
+        document: {
+            getElementById: (id) => {
+                if (!elements.has(id)) {
+                    elements.set(id, createElement(id));
+                }
+                return elements.get(id);
+            },
+            querySelector: () => null,
+            querySelectorAll: () => [],
+            documentElement: {},
+            body: createElement('body'),
+        },
+        navigator: {},
+        location: { search: '', href: 'https://localhost/call.html' },
+        localStorage: {
+            getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: (key) => storage.delete(key),
+        },
+        console: { log() {}, warn() {}, error() {}, info() {}, debug() {} },
+        addEventListener: windowEvents.addEventListener.bind(windowEvents),
+        removeEventListener: windowEvents.removeEventListener.bind(windowEvents),
+        WebSocket,
+        Event,
+        EventTarget,
+        MessageEvent,
+        CloseEvent,
+        MediaStream,
+        DOMException,
+        TextEncoder,
+        TextDecoder,
+        URL,
+        setTimeout: unrefTimer(setTimeout),
+        clearTimeout,
+        setInterval: unrefTimer(setInterval),
+        clearInterval,
+    };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+    vm.runInContext(instrumentSource(fs.readFileSync(CALL_PAGE_PATH, 'utf8')), sandbox, { filename: CALL_PAGE_PATH });
+    const hooks = sandbox.__callPageInternals;
+
+    function sendFromHost(message) {
+        webview.dispatchEvent(new MessageEvent('message', { data: message }));
+    }
+
+    return { hooks, hostMessages, sendFromHost, evaluate: (code) => vm.runInContext(code, sandbox) };
+}
+
+module.exports = { loadCallPage };
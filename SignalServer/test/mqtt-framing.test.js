@@ -0,0 +1,284 @@
+'use strict';
+
+// call.js 自带的 MQTT 3.1.1 编解码与 mqtt 信令传输：报文按协议逐字节比对，传输层对接一个按脚本应答的 broker。
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { WebSocketServer } = require('ws');
+const { loadCallPage } = require('./load-call-page');
+
+const { hooks } = loadCallPage();
+
+// vm 里创建的数组与 Uint8Array 属于另一个 realm，比较前先转成本地数组
+function bytes(value) {
+    return [...value];
+}
+
+function ascii(text) {
+    return [...Buffer.from(text)];
+}
+
+function mqttString(text) {
+    const encoded = Buffer.from(text);
+    return [encoded.length >> 8, encoded.length & 0xff, ...encoded];
+}
+
+function readMqttString(body, offset) {
+    const length = (body[offset] << 8) | body[offset + 1];
+    return { text: Buffer.from(body.slice(offset + 2, offset + 2 + length)).toString(), next: offset + 2 + length };
+}
+
+test('remaining length uses the variable-length encoding at every boundary', () => {
+    assert.deepEqual(bytes(hooks.encodeRemainingLength(0)), [0x00]);
+    assert.deepEqual(bytes(hooks.encodeRemainingLength(127)), [0x7f]);
+    assert.deepEqual(bytes(hooks.encodeRemainingLength(128)), [0x80, 0x01]);
+    assert.deepEqual(bytes(hooks.encodeRemainingLength(16383)), [0xff, 0x7f]);
+    assert.deepEqual(bytes(hooks.encodeRemainingLength(16384)), [0x80, 0x80, 0x01]);
+    assert.deepEqual(bytes(hooks.encodeRemainingLength(2097151)), [0xff, 0xff, 0x7f]);
+    assert.deepEqual(bytes(hooks.encodeRemainingLength(268435455)), [0xff, 0xff, 0xff, 0x7f]);
+});
+
+test('CONNECT carries protocol level 4, clean session, retained will and credentials', () => {
+    const packet = hooks.buildMqttConnect({
+        clientId: 'op',
+        username: 'u',
+        password: 'p',
+        keepAliveSeconds: 30,
+        will: { topic: 't', payload: 'x', retain: true },
+    });
+    assert.deepEqual(bytes(packet), [
+        0x10, 26,
+        ...mqttString('MQTT'), 0x04, 0xe6, 0x00, 0x1e,
+        ...mqttString('op'),
+        ...mqttString('t'),
+        ...mqttString('x'),
+        ...mqttString('u'),
+        ...mqttString('p'),
+    ]);
+});
+
+test('CONNECT without will or credentials only sets clean session', () => {
+    const packet = hooks.buildMqttConnect({ clientId: 'c', keepAliveSeconds: 0 });
+    assert.deepEqual(bytes(packet), [0x10, 13, ...mqttString('MQTT'), 0x04, 0x02, 0x00, 0x00, ...mqttString('c')]);
+});
+
+test('PUBLISH sets the retain flag and encodes long payloads with a two-byte length', () => {
+    assert.deepEqual(bytes(hooks.buildMqttPublish('a/b', '{}', true)), [0x31, 7, ...mqttString('a/b'), ...ascii('{}')]);
+    const payload = 'x'.repeat(200);
+    const packet = bytes(hooks.buildMqttPublish('a/b', payload));
+    assert.deepEqual(packet.slice(0, 3), [0x30, 0xcd, 0x01]);
+    assert.equal(packet.length, 3 + 5 + 200);
+});
+
+test('SUBSCRIBE uses the reserved 0x02 flags, the packet id and QoS 0 per topic', () => {
+    const packet = hooks.buildMqttSubscribe(258, ['r/operator', 'r/presence']);
+    assert.deepEqual(bytes(packet), [
+        0x82, 28,
+        0x01, 0x02,
+        ...mqttString('r/operator'), 0x00,
+        ...mqttString('r/presence'), 0x00,
+    ]);
+});
+
+test('parser splits back-to-back packets and keeps incomplete bytes for the next read', () => {
+    const publish = hooks.buildMqttPublish('t', 'x'.repeat(130));
+    const stream = Buffer.concat([Buffer.from([0x20, 0x02, 0x00, 0x00]), Buffer.from(publish), Buffer.from([0xd0, 0x00])]);
+
+    const whole = hooks.parseMqttPackets(new Uint8Array(stream));
+    assert.deepEqual(bytes(whole.packets.map((packet) => packet.type)), [2, 3, 13]);
+    assert.equal(whole.packets[1].body.length, 133);
+    assert.equal(whole.rest.length, 0);
+
+    const head = hooks.parseMqttPackets(new Uint8Array(stream.subarray(0, 6)));
+    assert.deepEqual(bytes(head.packets.map((packet) => packet.type)), [2]);
+    assert.deepEqual(bytes(head.rest), [0x30, 0x85]);
+
+    const tail = hooks.parseMqttPackets(new Uint8Array(Buffer.concat([Buffer.from(head.rest), stream.subarray(6)])));
+    assert.deepEqual(bytes(tail.packets.map((packet) => packet.type)), [3, 13]);
+    assert.equal(tail.rest.length, 0);
+});
+
+// 按脚本应答的 broker：记录收到的报文，由测试决定回什么
+async function startScriptedBroker() {
+    const wss = new WebSocketServer({ port: 0, handleProtocols: () => 'mqtt' });
+    await once(wss, 'listening');
+    const received = [];
+    const waiters = [];
+    let socket = null;
+    wss.on('connection', (ws) => {
+        socket = ws;
+        let buffer = new Uint8Array(0);
+        ws.on('message', (data) => {
+            const { packets, rest } = hooks.parseMqttPackets(new Uint8Array(Buffer.concat([Buffer.from(buffer), data])));
+            buffer = rest;
+            packets.forEach((packet) => {
+                const waiter = waiters.find((item) => item.type === packet.type);
+                if (waiter) {
+                    waiters.splice(waiters.indexOf(waiter), 1);
+                    waiter.resolve(packet);
+                } else {
+                    received.push(packet);
+                }
+            });
+        });
+    });
+    return {
+        url: `ws://127.0.0.1:${wss.address().port}`,
+        nextPacket(type) {
+            const queued = received.find((packet) => packet.type === type);
+            if (queued) {
+                received.splice(received.indexOf(queued), 1);
+                return Promise.resolve(queued);
+            }
+            return new Promise((resolve) => waiters.push({ type, resolve }));
+        },
+        reply(packet) {
+            socket.send(Buffer.from(packet));
+        },
+        close() {
+            wss.clients.forEach((client) => client.terminate());
+            return new Promise((resolve) => wss.close(resolve));
+        },
+    };
+}
+
+function nextSignal(transport, type) {
+    return new Promise((resolve) => {
+        transport.addEventListener('message', function listener(evt) {
+            const message = JSON.parse(evt.data);
+            if (message.type === type) {
+                transport.removeEventListener('message', listener);
+                resolve(message);
+            }
+        });
+    });
+}
+
+function decodePublish(packet) {
+    const { text: topic, next } = readMqttString(packet.body, 0);
+    return { topic, retain: (packet.flags & 0x01) === 1, message: JSON.parse(Buffer.from(packet.body.slice(next)).toString()) };
+}
+
+test('operator transport connects with a retained offline will and announces retained presence', async (t) => {
+    const broker = await startScriptedBroker();
+    t.after(() => broker.close());
+    const transport = hooks.createMqttSignalTransport(broker.url, {
+        role: 'operator',
+        room: 'lobby',
+        token: 'secret',
+        mqtt: { clientId: 'op-1', topicPrefix: null, password: null, keepAliveSeconds: 0, presenceWaitMs: 10 },
+    });
+
+    const connect = await broker.nextPacket(1);
+    let field = readMqttString(connect.body, 0);
+    assert.equal(field.text, 'MQTT');
+    assert.equal(connect.body[field.next + 1], 0x66, 'clean session + retained will + password');
+    field = readMqttString(connect.body, field.next + 4);
+    assert.equal(field.text, 'op-1');
+    field = readMqttString(connect.body, field.next);
+    assert.equal(field.text, 'webrtc/lobby/presence/operator');
+    field = readMqttString(connect.body, field.next);
+    assert.deepEqual(JSON.parse(field.text), { online: false, sessionId: 'op-1' });
+    field = readMqttString(connect.body, field.next);
+    assert.equal(field.text, 'secret');
+
+    broker.reply([0x20, 0x02, 0x00, 0x00]);
+    await once(transport, 'open');
+
+    transport.send(JSON.stringify({ type: 'join', room: 'lobby', role: 'operator' }));
+    const subscribe = await broker.nextPacket(8);
+    assert.equal(subscribe.flags, 0x02);
+    field = readMqttString(subscribe.body, 2);
+    assert.equal(field.text, 'webrtc/lobby/operator');
+    field = readMqttString(subscribe.body, field.next + 1);
+    assert.equal(field.text, 'webrtc/lobby/presence/operator');
+
+    const joined = nextSignal(transport, 'joined');
+    broker.reply([0x90, 0x04, subscribe.body[0], subscribe.body[1], 0x00, 0x00]);
+    const presence = decodePublish(await broker.nextPacket(3));
+    assert.deepEqual(presence, {
+        topic: 'webrtc/lobby/presence/operator',
+        retain: true,
+        message: { online: true, sessionId: 'op-1' },
+    });
+    await joined;
+
+    const incoming = nextSignal(transport, 'incoming');
+    broker.reply(hooks.buildMqttPublish('webrtc/lobby/operator', JSON.stringify({ type: 'incoming', clientId: 'client-7' })));
+    assert.equal((await incoming).clientId, 'client-7');
+
+    transport.send(JSON.stringify({ type: 'accept', payload: { clientId: 'client-7' } }));
+    const start = decodePublish(await broker.nextPacket(3));
+    assert.deepEqual(start, { topic: 'webrtc/lobby/client/client-7', retain: false, message: { type: 'start' } });
+
+    transport.close(1000, 'done');
+    const offline = decodePublish(await broker.nextPacket(3));
+    assert.deepEqual(offline.message, { online: false, sessionId: 'op-1' });
+    assert.equal(offline.retain, true);
+    await broker.nextPacket(14);
+});
+
+test('client transport rings the operator once retained presence says online', async (t) => {
+    const broker = await startScriptedBroker();
+    t.after(() => broker.close());
+    const transport = hooks.createMqttSignalTransport(broker.url, {
+        role: 'client',
+        room: 'lobby',
+        token: null,
+        mqtt: { clientId: 'client-7', keepAliveSeconds: 0, presenceWaitMs: 10 },
+    });
+
+    const connect = await broker.nextPacket(1);
+    assert.equal(connect.body[7], 0x06, 'clean session + non-retained will, no credentials');
+    broker.reply([0x20, 0x02, 0x00, 0x00]);
+    await once(transport, 'open');
+
+    transport.send(JSON.stringify({ type: 'join', room: 'lobby', role: 'client' }));
+    const subscribe = await broker.nextPacket(8);
+    const joined = nextSignal(transport, 'joined');
+    broker.reply([0x90, 0x04, subscribe.body[0], subscribe.body[1], 0x00, 0x00]);
+    broker.reply(hooks.buildMqttPublish('webrtc/lobby/presence/operator', JSON.stringify({ online: true, sessionId: 'op-1' }), true));
+    await joined;
+
+    const ring = decodePublish(await broker.nextPacket(3));
+    assert.deepEqual(ring, { topic: 'webrtc/lobby/operator', retain: false, message: { type: 'incoming', clientId: 'client-7' } });
+
+    const offline = nextSignal(transport, 'operator-offline');
+    broker.reply(hooks.buildMqttPublish('webrtc/lobby/presence/operator', JSON.stringify({ online: false, sessionId: 'op-1' }), true));
+    await offline;
+    transport.close(1000, 'done');
+});
+
+test('a reconnecting operator keeps its session id and takes its own retained presence as itself', async (t) => {
+    const broker = await startScriptedBroker();
+    t.after(() => broker.close());
+    const page = loadCallPage();
+    Object.assign(page.hooks.state, {
+        role: 'operator',
+        room: 'lobby',
+        transport: 'mqtt',
+        wsUrl: broker.url,
+        mqtt: { keepAliveSeconds: 0, presenceWaitMs: 10 },
+    });
+    const connectClientId = (connect) => readMqttString(connect.body, readMqttString(connect.body, 0).next + 4).text;
+
+    const first = page.hooks.createSignalTransport();
+    const firstId = connectClientId(await broker.nextPacket(1));
+    broker.reply([0x20, 0x02, 0x00, 0x00]);
+    await once(first, 'open');
+    first.close(1000, 'dropped');
+    await broker.nextPacket(14);
+
+    const second = page.hooks.createSignalTransport();
+    assert.equal(connectClientId(await broker.nextPacket(1)), firstId);
+    broker.reply([0x20, 0x02, 0x00, 0x00]);
+    await once(second, 'open');
+    second.send(JSON.stringify({ type: 'join', room: 'lobby', role: 'operator' }));
+    const subscribe = await broker.nextPacket(8);
+    const joined = nextSignal(second, 'joined');
+    broker.reply([0x90, 0x04, subscribe.body[0], subscribe.body[1], 0x00, 0x00]);
+    broker.reply(hooks.buildMqttPublish('webrtc/lobby/presence/operator', JSON.stringify({ online: true, sessionId: firstId }), true));
+    await joined;
+    second.close(1000, 'done');
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+// 参考信令服务器冒烟测试：起一个随机端口的服务器，用两条 WebSocket 连接模拟坐席与访客走完一次通话。
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { WebSocket } = require('ws');
+const { createSignalServer, CLOSE_CODES } = require('../server');
+const { validateOutbound } = require('../protocol');
+
+test.before(() => {
+    test.mock.method(console, 'log', () => {});
+});
+
+async function startServer(t, options = {}) {
+    const server = createSignalServer({ port: 0, host: '127.0.0.1', ...options });
+    await once(server.wss, 'listening');
+    t.after(() => new Promise((resolve) => server.close(resolve)));
+    return `ws://127.0.0.1:${server.wss.address().port}`;
+}
+
+// 收到的每条消息都先按协议校验，再交给等待该类型的调用方
+async function connectPeer(t, url, role) {
+    const ws = new WebSocket(url);
+    const inbox = [];
+    const waiters = [];
+    ws.on('message', (data) => {
+        const message = JSON.parse(data.toString());
+        assert.equal(validateOutbound(message, role), null, `${role} 收到不合协议的 ${message.type}`);
+        const waiter = waiters.find((item) => item.type === message.type);
+        if (waiter) {
+            waiters.splice(waiters.indexOf(waiter), 1);
+            waiter.resolve(message);
+        } else {
+            inbox.push(message);
+        }
+    });
+    await once(ws, 'open');
+    t.after(() => ws.terminate());
+    return {
+        ws,
+        send(message) {
+            ws.send(JSON.stringify({ room: 'lobby', ...message }));
+        },
+        next(type) {
+            const queued = inbox.find((message) => message.type === type);
+            if (queued) {
+                inbox.splice(inbox.indexOf(queued), 1);
+                return Promise.resolve(queued);
+            }
+            return new Promise((resolve) => waiters.push({ type, resolve }));
+        },
+        pending() {
+            return inbox.map((message) => message.type);
+        },
+    };
+}
+
+test('operator and client complete a call through join, accept, relay, ping and bye', async (t) => {
+    const url = await startServer(t, { operatorToken: 'secret' });
+
+    const operator = await connectPeer(t, url, 'operator');
+    operator.send({ type: 'join', role: 'operator', token: 'secret' });
+    await operator.next('joined');
+
+    const client = await connectPeer(t, url, 'client');
+    client.send({ type: 'join', role: 'client' });
+    const { clientId } = await client.next('joined');
+    const incoming = await operator.next('incoming');
+    assert.equal(incoming.clientId, clientId);
+
+    operator.send({ type: 'accept', payload: { clientId } });
+    assert.equal((await operator.next('start')).clientId, clientId);
+    await client.next('start');
+
+    const offer = { type: 'offer', sdp: 'v=0 offer' };
+    client.send({ type: 'offer', payload: offer });
+    const relayedOffer = await operator.next('offer');
+    assert.equal(relayedOffer.clientId, clientId);
+    assert.deepEqual(relayedOffer.payload, offer);
+
+    operator.send({ type: 'answer', payload: { type: 'answer', sdp: 'v=0 answer', clientId } });
+    assert.equal((await client.next('answer')).payload.sdp, 'v=0 answer');
+
+    const candidate = { candidate: 'candidate:1 1 udp 2122260223 10.0.0.2 50000 typ host', sdpMid: '0', sdpMLineIndex: 0 };
+    client.send({ type: 'candidate', payload: candidate });
+    assert.deepEqual((await operator.next('candidate')).payload, candidate);
+    operator.send({ type: 'candidate', payload: { ...candidate, clientId } });
+    assert.equal((await client.next('candidate')).payload.candidate, candidate.candidate);
+
+    client.send({ type: 'ping', payload: { id: 7, ts: 1 } });
+    assert.deepEqual((await client.next('pong')).payload, { id: 7, ts: 1 });
+
+    client.send({ type: 'bye' });
+    assert.equal((await operator.next('bye')).clientId, clientId);
+
+    // 通话结束后同一访客的协商消息不再转发
+    client.send({ type: 'offer', payload: offer });
+    operator.send({ type: 'ping', payload: { id: 'after-bye' } });
+    await operator.next('pong');
+    assert.deepEqual(operator.pending(), []);
+});
+
+test('operator with a wrong token is told unauthorized and disconnected', async (t) => {
+    const url = await startServer(t, { operatorToken: 'secret' });
+    const operator = await connectPeer(t, url, 'operator');
+    const closed = once(operator.ws, 'close');
+    operator.send({ type: 'join', role: 'operator', token: 'wrong' });
+    await operator.next('unauthorized');
+    const [code] = await closed;
+    assert.equal(code, CLOSE_CODES.unauthorized);
+});
+
+test('accepting while a call is active returns an error without dropping the call', async (t) => {
+    const url = await startServer(t);
+    const operator = await connectPeer(t, url, 'operator');
+    operator.send({ type: 'join', role: 'operator' });
+    await operator.next('joined');
+
+    const first = await connectPeer(t, url, 'client');
+    first.send({ type: 'join', role: 'client' });
+    const { clientId: firstId } = await first.next('joined');
+    await operator.next('incoming');
+    const second = await connectPeer(t, url, 'client');
+    second.send({ type: 'join', role: 'client' });
+    const { clientId: secondId } = await second.next('joined');
+    await operator.next('incoming');
+
+    operator.send({ type: 'accept', payload: { clientId: firstId } });
+    await first.next('start');
+    operator.send({ type: 'accept', payload: { clientId: secondId } });
+    assert.equal((await operator.next('error')).payload.code, 'operator-in-call');
+
+    operator.send({ type: 'media-mode', payload: { mode: 'audio-only' } });
+    assert.equal((await first.next('media-mode')).payload.mode, 'audio-only');
+});
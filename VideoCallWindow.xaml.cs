@@ -26,6 +26,9 @@ namespace WpfVideoPet
         private bool _ringTimeoutStarted;
         private readonly TimeSpan _ringTimeoutInterval; // 当前呼叫超时时间
         private string? _lastNotificationSignature;
+        private readonly CallRecordingWriter _recordingWriter = new(Path.Combine(AppContext.BaseDirectory, "Recordings")); // 通话录制分片落盘
+
+        public event EventHandler<RemoteCommandReceivedEventArgs>? RemoteCommandReceived; // 访客端收到坐席的远程命令（已通过白名单）
 
 
         /// <summary>
@@ -123,6 +126,7 @@ namespace WpfVideoPet
             AcceptButton.IsEnabled = false;
             RejectButton.IsEnabled = false;
             HangupButton.IsEnabled = false;
+            RemoteCommandButton.IsEnabled = false;
 
             ClientStatusText.Text = _config.IsOperator ? "坐席模式" : "正在连接...";
 
@@ -287,11 +291,145 @@ namespace WpfVideoPet
                             _clientLogic?.ProcessSignalMessage(type, root);
                         }
                         break;
+                    case "ice-candidate-pair":
+                        AppLogger.Info($"视频通话已接通，ICE 候选对: {raw}");
+                        break;
+                    case "ice-warning":
+                        AppLogger.Warn($"ICE 配置告警: {raw}");
+                        break;
+                    case "signal-reconnecting":
+                        AppLogger.Warn($"信令连接中断，页面正在重连: {raw}");
+                        break;
+                    case "signal-restored":
+                        AppLogger.Info($"信令连接已恢复: {raw}");
+                        break;
+                    case "signal-latency":
+                        if (root.TryGetProperty("rttMs", out var rttElement) && rttElement.TryGetInt32(out var rttMs))
+                        {
+                            AppLogger.Info($"信令心跳延迟: {rttMs} ms");
+                        }
+                        break;
+                    case "call-stats":
+                    {
+                        AppLogger.Debug($"通话质量采样: {raw}");
+                        break;
+                    }
+                    case "timeout":
+                    {
+                        var phase = root.TryGetProperty("phase", out var phaseElement)
+                            ? phaseElement.GetString()
+                            : null;
+                        AppLogger.Info($"页面通话计时超时，阶段: {phase}");
+                        if (!_config.IsOperator)
+                        {
+                            _clientLogic?.ProcessSignalMessage(type, root);
+                        }
+                        break;
+                    }
+                    case "call-quality":
+                        var quality = root.TryGetProperty("quality", out var qualityElement)
+                            ? qualityElement.GetString()
+                            : null;
+                        AppLogger.Info($"通话质量等级变化: {quality}");
+                        break;
+                    case "audio-level":
+                        break;
+                    case "speaking-start":
+                    case "speaking-stop":
+                        var speakingSource = root.TryGetProperty("source", out var speakingSourceElement)
+                            ? speakingSourceElement.GetString()
+                            : null;
+                        AppLogger.Debug($"通话语音活动: {type} ({speakingSource})");
+                        break;
+                    case "self-test-result":
+                        var overall = root.TryGetProperty("overall", out var overallElement)
+                            ? overallElement.GetString()
+                            : null;
+                        if (overall == "pass")
+                        {
+                            AppLogger.Info($"通话自检完成: {overall}");
+                        }
+                        else
+                        {
+                            AppLogger.Warn($"通话自检完成: {overall}, 详情: {raw}");
+                        }
+                        break;
+                    case "recording-chunk":
+                    {
+                        var recordingId = root.TryGetProperty("recordingId", out var chunkIdElement) ? chunkIdElement.GetString() : null;
+                        var data = root.TryGetProperty("data", out var dataElement) ? dataElement.GetString() : null;
+                        if (string.IsNullOrWhiteSpace(recordingId) || data == null
+                            || !root.TryGetProperty("sequence", out var sequenceElement) || !sequenceElement.TryGetInt32(out var sequence))
+                        {
+                            AppLogger.Warn("收到格式不完整的录制分片，已忽略。");
+                            break;
+                        }
+
+                        var mimeType = root.TryGetProperty("mimeType", out var chunkMimeElement) ? chunkMimeElement.GetString() : null;
+                        _recordingWriter.AppendChunk(recordingId, sequence, mimeType, data);
+                        break;
+                    }
+                    case "recording-complete":
+                    {
+                        var recordingId = root.TryGetProperty("recordingId", out var completeIdElement) ? completeIdElement.GetString() : null;
+                        if (string.IsNullOrWhiteSpace(recordingId))
+                        {
+                            break;
+                        }
+
+                        var chunks = root.TryGetProperty("chunks", out var chunksElement) && chunksElement.TryGetInt32(out var chunkCount) ? chunkCount : 0;
+                        var path = _recordingWriter.Complete(recordingId, chunks);
+                        if (path != null)
+                        {
+                            AppLogger.Info($"通话录制已保存: {path}，共 {chunks} 片");
+                        }
+                        break;
+                    }
+                    case "signal-error":
+                        AppLogger.Warn($"信令服务器返回错误: {raw}");
+                        break;
+                    case "remote-command-received":
+                        HandleRemoteCommandReceived(root);
+                        break;
+                    case "remote-command-result":
+                    {
+                        var remoteName = root.TryGetProperty("name", out var remoteNameElement) ? remoteNameElement.GetString() : null;
+                        if (root.TryGetProperty("success", out var remoteSuccessElement) && remoteSuccessElement.ValueKind == JsonValueKind.True)
+                        {
+                            AppLogger.Info($"远程命令执行成功: {raw}");
+                            ClientStatusText.Text = $"远程指令 {remoteName} 执行成功";
+                        }
+                        else
+                        {
+                            var remoteCode = root.TryGetProperty("code", out var remoteCodeElement) ? remoteCodeElement.GetString() : null;
+                            AppLogger.Warn($"远程命令执行失败: {raw}");
+                            ClientStatusText.Text = $"远程指令 {remoteName} 执行失败: {remoteCode}";
+                        }
+                        break;
+                    }
+                    case "command-result":
+                    {
+                        if (root.TryGetProperty("success", out var commandSuccessElement) && commandSuccessElement.ValueKind == JsonValueKind.False)
+                        {
+                            var command = root.TryGetProperty("command", out var commandElement) ? commandElement.GetString() : null;
+                            var commandMessage = root.TryGetProperty("message", out var commandMessageElement) ? commandMessageElement.GetString() : null;
+                            AppLogger.Warn($"页面命令执行失败: {raw}");
+                            if (command == "remote-command" && !string.IsNullOrWhiteSpace(commandMessage))
+                            {
+                                ClientStatusText.Text = commandMessage;
+                            }
+                        }
+                        break;
+                    }
                 }
             }
             catch (JsonException)
             {
             }
+            catch (Exception ex) when (ex is IOException or UnauthorizedAccessException or FormatException)
+            {
+                AppLogger.Error(ex, "写入通话录制文件失败。");
+            }
         }
 
         private void UpdateOperatorState(string? state)
@@ -309,6 +447,7 @@ namespace WpfVideoPet
                 "in-call" => "通话中",
                 "ended" => "通话已结束",
                 "offline" => "信令已断开",
+                "stale" => "信令连接无响应",
                 _ => "空闲等待呼入"
             };
 
@@ -320,16 +459,19 @@ namespace WpfVideoPet
                     AcceptButton.IsEnabled = true;
                     RejectButton.IsEnabled = true;
                     HangupButton.IsEnabled = false;
+                    RemoteCommandButton.IsEnabled = false;
                     break;
                 case "connecting":
                     AcceptButton.IsEnabled = false;
                     RejectButton.IsEnabled = true;
                     HangupButton.IsEnabled = false;
+                    RemoteCommandButton.IsEnabled = false;
                     break;
                 case "in-call":
                     AcceptButton.IsEnabled = false;
                     RejectButton.IsEnabled = false;
                     HangupButton.IsEnabled = true;
+                    RemoteCommandButton.IsEnabled = true;
                     _hasActiveCall = true;
                     break;
                 case "ended":
@@ -337,12 +479,14 @@ namespace WpfVideoPet
                     AcceptButton.IsEnabled = false;
                     RejectButton.IsEnabled = false;
                     HangupButton.IsEnabled = false;
+                    RemoteCommandButton.IsEnabled = false;
                     _hasActiveCall = false;
                     break;
                 default:
                     AcceptButton.IsEnabled = false;
                     RejectButton.IsEnabled = false;
                     HangupButton.IsEnabled = false;
+                    RemoteCommandButton.IsEnabled = false;
                     _hasActiveCall = false;
                     break;
             }
@@ -414,13 +558,80 @@ namespace WpfVideoPet
                      room = _config.Room,
                      ws = _config.SignalServer,
                      role = _config.Role,
-                     token = _config.IsOperator ? _config.OperatorToken : null //【修改】仅坐席带 token
+                     token = _config.IsOperator ? _config.OperatorToken : null, //【修改】仅坐席带 token
+                     iceServers = _config.CreateIceServersPayload(),
+                     iceTransportPolicy = _config.IceTransportPolicy,
+                     locale = _config.Locale,
+                     heartbeat = new
+                     {
+                         enabled = _config.SignalHeartbeatEnabled,
+                         intervalMs = _config.SignalHeartbeatIntervalMs,
+                         missThreshold = _config.SignalHeartbeatMissThreshold
+                     },
+                     media = _config.CallMedia,
+                     codecs = _config.CallCodecs,
+                     bandwidth = _config.CallBandwidth,
+                     transport = _config.SignalTransport,
+                     mqtt = _config.CreateSignalMqttPayload(),
+                     remoteCommands = new { allow = _config.RemoteCommandAllowlist }
                  });
 
             StartRingTimeout();
             Web.CoreWebView2.PostWebMessageAsJson(payloadJson);
         }
 
+        /// <summary>
+        /// 坐席端向当前通话的访客发送远程命令，执行结果由页面以 remote-command-result 回报。
+        /// </summary>
+        public void SendRemoteCommand(string id, string name, object? args = null)
+        {
+            if (Web?.CoreWebView2 == null)
+            {
+                return;
+            }
+
+            Web.CoreWebView2.PostWebMessageAsJson(JsonSerializer.Serialize(new { type = "remote-command", id, name, args }));
+        }
+
+        /// <summary>
+        /// 访客端回报远程命令的执行结果，id 与 RemoteCommandReceived 中的一致。
+        /// </summary>
+        public void SendRemoteCommandResult(string id, bool success, object? result = null, string? code = null, string? error = null)
+        {
+            if (Web?.CoreWebView2 == null)
+            {
+                return;
+            }
+
+            Web.CoreWebView2.PostWebMessageAsJson(JsonSerializer.Serialize(new { type = "remote-command-result", id, success, result, code, error }));
+        }
+
+        private void HandleRemoteCommandReceived(JsonElement root)
+        {
+            var id = root.TryGetProperty("id", out var idElement) && idElement.ValueKind == JsonValueKind.String
+                ? idElement.GetString()
+                : null;
+            var name = root.TryGetProperty("name", out var nameElement) && nameElement.ValueKind == JsonValueKind.String
+                ? nameElement.GetString()
+                : null;
+            if (string.IsNullOrWhiteSpace(id) || string.IsNullOrWhiteSpace(name))
+            {
+                AppLogger.Warn("收到格式不完整的远程命令，已忽略。");
+                return;
+            }
+
+            AppLogger.Info($"收到远程命令: {name} ({id})");
+            var handler = RemoteCommandReceived;
+            if (handler == null)
+            {
+                SendRemoteCommandResult(id, false, code: "not-supported");
+                return;
+            }
+
+            JsonElement? args = root.TryGetProperty("args", out var argsElement) ? argsElement.Clone() : null;
+            handler(this, new RemoteCommandReceivedEventArgs(id, name, args));
+        }
+
         private void SendSimpleCommand(string command)
         {
             if (Web?.CoreWebView2 == null)
@@ -448,6 +659,36 @@ namespace WpfVideoPet
             SendSimpleCommand("hangup");
         }
 
+        private void RemoteCommand_Click(object sender, RoutedEventArgs e)
+        {
+            var name = RemoteCommandNameBox.Text?.Trim();
+            if (string.IsNullOrWhiteSpace(name))
+            {
+                ClientStatusText.Text = "请填写远程指令名称";
+                return;
+            }
+
+            JsonElement? args = null;
+            var argsText = RemoteCommandArgsBox.Text?.Trim();
+            if (!string.IsNullOrEmpty(argsText))
+            {
+                try
+                {
+                    using var argsDoc = JsonDocument.Parse(argsText);
+                    args = argsDoc.RootElement.Clone();
+                }
+                catch (JsonException)
+                {
+                    ClientStatusText.Text = "远程指令参数不是合法的 JSON";
+                    return;
+                }
+            }
+
+            var id = Guid.NewGuid().ToString("N");
+            AppLogger.Info($"发送远程命令: {name} ({id})");
+            SendRemoteCommand(id, name, args);
+        }
+
         private void PauseButton_Click(object sender, RoutedEventArgs e)
         {
             _isPaused = !_isPaused;
@@ -480,6 +721,7 @@ namespace WpfVideoPet
             {
             }
 
+            _recordingWriter.Dispose();
             base.OnClosing(e);
         }
 
@@ -573,4 +815,23 @@ namespace WpfVideoPet
             Close();
         }
     }
+
+    /// <summary>
+    /// 坐席经通话数据通道发来的远程命令，处理完成后调用 VideoCallWindow.SendRemoteCommandResult 回报。
+    /// </summary>
+    public sealed class RemoteCommandReceivedEventArgs : EventArgs
+    {
+        public RemoteCommandReceivedEventArgs(string id, string name, JsonElement? args)
+        {
+            Id = id ?? throw new ArgumentNullException(nameof(id));
+            Name = name ?? throw new ArgumentNullException(nameof(name));
+            Args = args;
+        }
+
+        public string Id { get; } // 命令 ID，回报结果时原样带回
+
+        public string Name { get; } // 命令名称（已在白名单内）
+
+        public JsonElement? Args { get; } // 命令参数，未提供时为 null
+    }
 }
\ No newline at end of file
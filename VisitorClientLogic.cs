@@ -1,4 +1,5 @@
 ﻿using System;
+using System.Collections.Generic;
 using System.Text.Json;
 
 namespace WpfVideoPet
@@ -11,6 +12,24 @@ namespace WpfVideoPet
         private readonly AppConfig _config;
         private bool _hasCloseRequested; // 关闭请求是否已触发
 
+        // 页面状态消息码中表示连接已不可用的部分，命中后关闭通话窗口
+        private static readonly HashSet<string> ConnectionIssueCodes = new(StringComparer.Ordinal)
+        {
+            "signal.closed",
+            "signal.error",
+            "call.disconnected",
+            "call.unauthorized",
+            "timeout.connect"
+        };
+
+        // 坐席忙碌、离线或拒接时页面给出的消息码，呼叫不会再继续，直接关闭通话窗口
+        private static readonly HashSet<string> CallRefusedCodes = new(StringComparer.Ordinal)
+        {
+            "call.busy",
+            "call.no-operator",
+            "call.rejected"
+        };
+
         public VisitorClientLogic(AppConfig config)
         {
             _config = config ?? throw new ArgumentNullException(nameof(config));
@@ -44,23 +63,26 @@ namespace WpfVideoPet
             {
                 case "client-event":
                     HandleClientEvent(
-                        root.TryGetProperty("event", out var eventElement) ? eventElement.GetString() : null,
+                        root.TryGetProperty("messageCode", out var eventCodeElement) ? eventCodeElement.GetString() : null,
                         root.TryGetProperty("message", out var messageElement) ? messageElement.GetString() : null);
                     break;
                 case "client-status":
                     var statusMessage = root.TryGetProperty("message", out var statusElement)
                         ? statusElement.GetString()
                         : null;
-                    HandleClientStatus(statusMessage);
+                    var statusCode = root.TryGetProperty("messageCode", out var statusCodeElement)
+                        ? statusCodeElement.GetString()
+                        : null;
+                    HandleClientStatus(statusMessage, statusCode);
                     break;
                 case "client-error":
-                    var errorCode = root.TryGetProperty("code", out var codeElement)
+                    var errorCode = root.TryGetProperty("messageCode", out var codeElement)
                         ? codeElement.GetString()
                         : null;
                     var errorMessage = root.TryGetProperty("message", out var errorElement)
                         ? errorElement.GetString()
                         : null;
-                    HandleClientEvent(errorCode ?? "client-error", errorMessage);
+                    HandleClientError(errorCode, errorMessage);
                     break;
                 case "call-state":
                     var callState = root.TryGetProperty("state", out var callElement)
@@ -68,13 +90,25 @@ namespace WpfVideoPet
                         : null;
                     UpdateCallState(callState);
                     break;
+                case "timeout":
+                {
+                    var phase = root.TryGetProperty("phase", out var phaseElement)
+                        ? phaseElement.GetString()
+                        : null;
+                    HandleTimeout(phase);
+                    break;
+                }
                 case "alert":
+                    var alertCode = root.TryGetProperty("messageCode", out var alertCodeElement)
+                        ? alertCodeElement.GetString()
+                        : null;
                     var alertMessage = root.TryGetProperty("message", out var alertElement)
                         ? alertElement.GetString()
                         : null;
-                    if (!string.IsNullOrWhiteSpace(alertMessage))
+                    var alertText = ResolveDisplay(alertCode, alertMessage);
+                    if (!string.IsNullOrWhiteSpace(alertText))
                     {
-                        AlertRaised?.Invoke(this, alertMessage);
+                        AlertRaised?.Invoke(this, alertText);
                     }
                     break;
             }
@@ -88,7 +122,22 @@ namespace WpfVideoPet
                 room = _config.Room,
                 ws = _config.SignalServer,
                 role = _config.Role,
-                token = _config.OperatorToken
+                token = _config.OperatorToken,
+                iceServers = _config.CreateIceServersPayload(),
+                iceTransportPolicy = _config.IceTransportPolicy,
+                locale = _config.Locale,
+                heartbeat = new
+                {
+                    enabled = _config.SignalHeartbeatEnabled,
+                    intervalMs = _config.SignalHeartbeatIntervalMs,
+                    missThreshold = _config.SignalHeartbeatMissThreshold
+                },
+                media = _config.CallMedia,
+                codecs = _config.CallCodecs,
+                bandwidth = _config.CallBandwidth,
+                transport = _config.SignalTransport,
+                mqtt = _config.CreateSignalMqttPayload(),
+                remoteCommands = new { allow = _config.RemoteCommandAllowlist }
             };
 
             return JsonSerializer.Serialize(payload);
@@ -105,116 +154,83 @@ namespace WpfVideoPet
             return JsonSerializer.Serialize(payload);
         }
 
-        private void HandleClientEvent(string? evt, string? message)
+        /// <summary>
+        /// 页面文字已按语言翻译，只用于显示；是否报警、是否关闭窗口一律按消息码判断。
+        /// </summary>
+        private static string ResolveDisplay(string? messageCode, string? message)
+        {
+            return !string.IsNullOrWhiteSpace(message) ? message.Trim() : messageCode?.Trim() ?? string.Empty;
+        }
+
+        private void HandleClientEvent(string? messageCode, string? message)
         {
-            if (string.IsNullOrWhiteSpace(evt) && string.IsNullOrWhiteSpace(message))
+            var display = ResolveDisplay(messageCode, message);
+            if (string.IsNullOrWhiteSpace(display))
             {
                 return;
             }
 
-            string display = !string.IsNullOrWhiteSpace(message)
-                ? message!
-                : evt switch
-                {
-                    "busy" => "坐席正在忙碌，请稍后再试。",
-                    "no-operator" => "坐席当前离线。",
-                    "rejected" => "坐席已拒绝本次通话请求。",
-                    "ended" => "通话已结束。",
-                    "ws-error" or "signal-error" => "无法连接信令服务器，请检查 SIGNAL_SERVER 配置或网络是否畅通。",
-                    "join-timeout" or "join-failed" => "加入房间失败，请确认房间号和信令服务器状态。",
-                    "room-not-found" => "房间不存在，请检查房间号设置。",
-                    "unauthorized" => "房间鉴权失败，请确认访客访问凭证是否正确。",
-                    _ => string.Empty
-                };
-
-            bool isConnectionIssue = evt is "ws-error"
-                or "signal-error"
-                or "join-timeout"
-                or "join-failed"
-                or "room-not-found"
-                or "unauthorized"
-                or "client-error"
-                || (!string.IsNullOrWhiteSpace(evt) && evt.Contains("error", StringComparison.OrdinalIgnoreCase));
-
-            if (!string.IsNullOrWhiteSpace(display))
-            {
-                StatusTextChanged?.Invoke(this, display);
-
-                if (isConnectionIssue)
-                {
-                    AlertRaised?.Invoke(this, display);
-                }
-                else
-                {
-                    InformationMessageRequested?.Invoke(this, display);
-                }
-            }
+            StatusTextChanged?.Invoke(this, display);
 
-            if (evt is "busy" or "no-operator" or "rejected" || isConnectionIssue)
+            if (messageCode != null && ConnectionIssueCodes.Contains(messageCode))
             {
+                AlertRaised?.Invoke(this, display);
                 SetActiveCall(false);
-                var closeReason = !string.IsNullOrWhiteSpace(display) ? display : evt ?? "未知原因"; // 关闭原因
-                RequestClose(closeReason);
+                RequestClose($"连接异常: {display}");
+                return;
             }
-            else if (evt is "ended")
+
+            InformationMessageRequested?.Invoke(this, display);
+
+            if (messageCode != null && CallRefusedCodes.Contains(messageCode))
             {
                 SetActiveCall(false);
+                RequestClose(display);
             }
         }
 
-        private void HandleClientStatus(string? statusMessage)
+        private void HandleClientError(string? messageCode, string? message)
         {
-            if (string.IsNullOrWhiteSpace(statusMessage))
+            var display = ResolveDisplay(messageCode, message);
+            if (string.IsNullOrWhiteSpace(display))
             {
                 return;
             }
 
-            var trimmed = statusMessage.Trim();
-            var normalized = trimmed.ToLowerInvariant();
+            StatusTextChanged?.Invoke(this, display);
+            AlertRaised?.Invoke(this, display);
+            SetActiveCall(false);
+            RequestClose(display);
+        }
 
-            if (normalized is "ws-error"
-                or "signal-error"
-                or "join-timeout"
-                or "join-failed"
-                or "room-not-found"
-                or "unauthorized")
+        private void HandleClientStatus(string? statusMessage, string? messageCode)
+        {
+            var display = ResolveDisplay(messageCode, statusMessage);
+            if (string.IsNullOrWhiteSpace(display))
             {
-                HandleClientEvent(normalized, null);
                 return;
             }
 
-            StatusTextChanged?.Invoke(this, trimmed);
+            StatusTextChanged?.Invoke(this, display);
 
-            if (LooksLikeConnectionIssue(trimmed))
+            if (messageCode != null && ConnectionIssueCodes.Contains(messageCode))
             {
-                AlertRaised?.Invoke(this, trimmed);
+                AlertRaised?.Invoke(this, display);
                 SetActiveCall(false);
-                var closeReason = $"连接异常: {trimmed}"; // 关闭原因
-                RequestClose(closeReason);
+                RequestClose($"连接异常: {display}");
             }
         }
 
-
-        private static bool LooksLikeConnectionIssue(string message)
+        /// <summary>
+        /// 页面超时后会继续发出 ended 事件和 timeout.* 状态码：连接超时按连接异常关闭，通话超时随通话结束关闭，
+        /// 这里只需处理振铃超时——呼叫已结束且不会再有后续状态，直接关闭窗口。
+        /// </summary>
+        private void HandleTimeout(string? phase)
         {
-            if (string.IsNullOrWhiteSpace(message))
+            if (phase == "ring" && !HasActiveCall)
             {
-                return false;
+                RequestClose("坐席未接听，呼叫超时");
             }
-
-            var normalized = message.Trim().ToLowerInvariant();
-
-            return normalized.Contains("无法连接", StringComparison.Ordinal)
-                || normalized.Contains("未能连接", StringComparison.Ordinal)
-                || normalized.Contains("连接超时", StringComparison.Ordinal)
-                || normalized.Contains("超时", StringComparison.Ordinal)
-                || normalized.Contains("失败", StringComparison.Ordinal)
-                || normalized.Contains("错误", StringComparison.Ordinal)
-                || normalized.Contains("断开", StringComparison.Ordinal)
-                || normalized.Contains("房间", StringComparison.Ordinal)
-                || normalized.Contains("signal", StringComparison.Ordinal)
-                || normalized.Contains("server", StringComparison.Ordinal)
-                || normalized.Contains("error", StringComparison.Ordinal);
         }
 
         private void UpdateCallState(string? state)